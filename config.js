@@ -15,5 +15,64 @@ module.exports = {
   clientX509CertUrl: process.env.CLIENT_X509_CERT_URL,
   universeDomain: process.env.UNIVERSE_DOMAIN,
   muxApiKey: process.env.MUX_API_KEY,
-  muxApiSecret: process.env.MUX_API_SECRET
+  muxApiSecret: process.env.MUX_API_SECRET,
+  currency: process.env.CURRENCY || 'GHS',
+  serviceFeePercent: Number(process.env.SERVICE_FEE_PERCENT || 0),
+  serviceFeeFlat: Number(process.env.SERVICE_FEE_FLAT || 0),
+  checkoutHoldMinutes: Number(process.env.CHECKOUT_HOLD_MINUTES || 15),
+  holdSweepIntervalSeconds: Number(process.env.HOLD_SWEEP_INTERVAL_SECONDS || 60),
+  waitlistOfferMinutes: Number(process.env.WAITLIST_OFFER_MINUTES || 30),
+  // JSON map of key version to secret, e.g. {"2024-1":"..."}; versions must not contain "."
+  ticketSigningKeys: JSON.parse(process.env.TICKET_SIGNING_KEYS || '{}'),
+  ticketSigningKeyVersion: process.env.TICKET_SIGNING_KEY_VERSION,
+  // Ed25519 private key (PEM) for offline scanner manifests
+  manifestSigningKey: process.env.MANIFEST_SIGNING_KEY,
+  // Enables locally signed test ID tokens when NODE_ENV is 'test'
+  authTestSecret: process.env.AUTH_TEST_SECRET,
+  // Payment provider used at checkout: 'paystack', or 'fake' to run the whole flow offline
+  paymentProvider: process.env.PAYMENT_PROVIDER || 'fake',
+  paystackSecretKey: process.env.PAYSTACK_SECRET_KEY,
+  fakePaymentSecret: process.env.FAKE_PAYMENT_SECRET,
+  idempotencyKeyHours: Number(process.env.IDEMPOTENCY_KEY_HOURS || 24),
+  maxTicketsPerOrder: Number(process.env.MAX_TICKETS_PER_ORDER || 20),
+  // Outgoing mail: 'smtp' (a local catcher works too) or 'file' to write .eml files to MAIL_FILE_DIR
+  mailTransport: process.env.MAIL_TRANSPORT || 'smtp',
+  mailFrom: process.env.MAIL_FROM || 'ticketron<noreply@ticketron.com>',
+  smtpHost: process.env.SMTP_HOST || 'localhost',
+  smtpPort: Number(process.env.SMTP_PORT || 587),
+  smtpSecure: process.env.SMTP_SECURE === 'true',
+  smtpUser: process.env.SMTP_USER,
+  smtpPass: process.env.SMTP_PASS,
+  mailFileDir: process.env.MAIL_FILE_DIR || 'mail-outbox',
+  mailMaxAttempts: Number(process.env.MAIL_MAX_ATTEMPTS || 5),
+  mailRetrySeconds: Number(process.env.MAIL_RETRY_SECONDS || 60),
+  // Emails still sending this long after being claimed are taken to have died with their process
+  mailSendingTimeoutSeconds: Number(process.env.MAIL_SENDING_TIMEOUT_SECONDS || 300),
+  verificationCodeMinutes: Number(process.env.VERIFICATION_CODE_MINUTES || 15),
+  verificationMaxAttempts: Number(process.env.VERIFICATION_MAX_ATTEMPTS || 5),
+  // Verification sends and failed confirmations allowed per email and per IP in each window
+  verificationRateWindowMinutes: Number(process.env.VERIFICATION_RATE_WINDOW_MINUTES || 60),
+  verificationSendsPerEmail: Number(process.env.VERIFICATION_SENDS_PER_EMAIL || 5),
+  verificationSendsPerIp: Number(process.env.VERIFICATION_SENDS_PER_IP || 20),
+  verificationFailuresPerEmail: Number(process.env.VERIFICATION_FAILURES_PER_EMAIL || 10),
+  verificationFailuresPerIp: Number(process.env.VERIFICATION_FAILURES_PER_IP || 30),
+  // Audience notifications go out as queued jobs, retried like mail; a job still sending after
+  // NOTIFICATION_JOB_TIMEOUT_SECONDS without progress is taken to have died and is queued again
+  notificationJobMaxAttempts: Number(process.env.NOTIFICATION_JOB_MAX_ATTEMPTS || 5),
+  notificationJobRetrySeconds: Number(process.env.NOTIFICATION_JOB_RETRY_SECONDS || 60),
+  notificationJobTimeoutSeconds: Number(process.env.NOTIFICATION_JOB_TIMEOUT_SECONDS || 600),
+  // Push delivery: 'fcm' sends through Firebase Cloud Messaging, 'stub' sends nothing
+  pushTransport: process.env.PUSH_TRANSPORT || 'stub',
+  // Print stubbed push messages, for local development only
+  logStubPush: process.env.LOG_STUB_PUSH === 'true',
+  // Default reminder schedule; events can override it with `reminders: { offsetsHours, followUpHours, enabled }`
+  reminderOffsetsHours: JSON.parse(process.env.REMINDER_OFFSETS_HOURS || '[24, 1]'),
+  followUpHours: Number(process.env.FOLLOW_UP_HOURS || 2),
+  defaultEventDurationHours: Number(process.env.DEFAULT_EVENT_DURATION_HOURS || 3),
+  // IANA timezone for events that don't name their own
+  defaultTimezone: process.env.DEFAULT_TIMEZONE || 'Africa/Accra',
+  // Tax already included in ticket prices, shown on receipts
+  taxLabel: process.env.TAX_LABEL || 'VAT',
+  taxPercent: Number(process.env.TAX_PERCENT || 0),
+  exportPageSize: Number(process.env.EXPORT_PAGE_SIZE || 500)
 };
\ No newline at end of file
@@ -7,6 +7,14 @@ const cors = require('cors');
 const config = require('./config.js');
 const dotenv = require('dotenv');
 const { FieldValue } = require('firebase-admin/firestore');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const bwipjs = require('bwip-js');
+const ExcelJS = require('exceljs');
+const { once } = require('events');
 
 dotenv.config();
 
@@ -33,7 +41,12 @@ const port = process.env.PORT || 3000;
 
 
 // Middleware
-app.use(express.json());
+// Keep the raw body around so payment webhooks can verify the provider's signature
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(cors());
 
 // Error handling middleware
@@ -43,25 +56,446 @@ app.use((err, req, res, next) => {
 });
 
 // Validators
-const validateEvent = [
+
+// An event timezone is an IANA name such as "Africa/Accra"
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string';
+  } catch (e) {
+    return false;
+  }
+};
+
+// Reminder offsets are up to 5 hours before the start, no further ahead than the reminder sweep looks
+const isValidReminderOffsets = (offsetsHours) => Array.isArray(offsetsHours)
+  && offsetsHours.length <= 5
+  && offsetsHours.every(hours => typeof hours === 'number' && hours > 0 && hours <= MAX_REMINDER_OFFSET_HOURS);
+
+// An event location is either plain text or `{ name, address, lat, lng }` with coordinates
+const isValidLocation = (location) => {
+  if (typeof location === 'string') {
+    return location.trim().length > 0;
+  }
+  return Boolean(location)
+    && typeof location.name === 'string' && location.name.trim().length > 0
+    && typeof location.lat === 'number' && location.lat >= -90 && location.lat <= 90
+    && typeof location.lng === 'number' && location.lng >= -180 && location.lng <= 180;
+};
+
+// Updates can't change capacity, so they check everything but the inventory fields
+const validateEventDetails = [
   body('title').isString().notEmpty(),
   body('date').isISO8601(),
   body('time').isString().notEmpty(),
-  body('location').isString().notEmpty(),
+  body('location').custom(isValidLocation),
   body('price').isObject(),
   body('description').isString().notEmpty(),
   body('agenda').isArray(),
   body('images').isArray(),
-  body('ticketsLeft').isInt(),
   body('category').isString().notEmpty(),
   body('totalCapacityNeeded').isInt(),
+  body('reentry').optional().isObject(),
+  body('refundPolicy').optional().isObject(),
+  body('resale').optional().isObject(),
+  body('reminders').optional().isObject(),
+  body('reminders.offsetsHours').optional().custom(isValidReminderOffsets),
+  body('timezone').optional().custom(isValidTimezone),
+];
+
+const validateEvent = [
+  ...validateEventDetails,
+  body('ticketsLeft').isInt(),
+  body('ticketsLeftByType').optional().isObject(),
 ];
 
+// ** Helper to run validation chains over each item of a list, as if each were a request body ** //
+// Errors come back with the item's position in their path, e.g. `events[2].title`.
+const validateEach = async (chains, items, field) => {
+  const errors = [];
+  for (const [index, item] of items.entries()) {
+    const itemReq = { body: item };
+    for (const chain of chains) {
+      await chain.run(itemReq);
+    }
+    validationResult(itemReq).array().forEach((error) => {
+      errors.push({ ...error, path: `${field}[${index}].${error.path}` });
+    });
+  }
+  return errors;
+};
+
+const validatePromoCode = [
+  body('code').isString().trim().notEmpty().not().contains('/'),
+  body('eventId').optional({ nullable: true }).isString(),
+  body('discountType').isIn(['percentage', 'fixed']),
+  body('discountValue').isFloat({ gt: 0 }),
+  body('maxRedemptions').optional({ nullable: true }).isInt({ gt: 0 }),
+  body('maxRedemptionsPerUser').optional({ nullable: true }).isInt({ gt: 0 }),
+  body('validFrom').optional({ nullable: true }).isISO8601(),
+  body('validUntil').optional({ nullable: true }).isISO8601(),
+  body('ticketTypes').optional().isArray(),
+  body('active').optional().isBoolean(),
+];
+
+// Updates may leave out any field, but the ones they send must be as valid as on create
+const validatePromoCodeUpdate = [
+  body('eventId').optional({ nullable: true }).isString(),
+  body('discountType').optional().isIn(['percentage', 'fixed']),
+  body('discountValue').optional().isFloat({ gt: 0 }),
+  body('maxRedemptions').optional({ nullable: true }).isInt({ gt: 0 }),
+  body('maxRedemptionsPerUser').optional({ nullable: true }).isInt({ gt: 0 }),
+  body('validFrom').optional({ nullable: true }).isISO8601(),
+  body('validUntil').optional({ nullable: true }).isISO8601(),
+  body('ticketTypes').optional().isArray(),
+  body('active').optional().isBoolean(),
+];
+
+
+// Authentication and authorization
+// Requests carry a Firebase ID token as `Authorization: Bearer <token>`. firebase-admin honours
+// FIREBASE_AUTH_EMULATOR_HOST, so the Auth emulator works without extra setup. When NODE_ENV is 'test',
+// AUTH_TEST_SECRET also enables HS256 test tokens (`{ uid, email, role, exp }`) that are checked locally.
+// Any other NODE_ENV ignores the secret, so a stray AUTH_TEST_SECRET can't open up a real deployment.
+const ROLES = ['attendee', 'organizer', 'scanner', 'admin'];
+
+const testTokensEnabled = () => Boolean(config.authTestSecret) && process.env.NODE_ENV === 'test';
+
+// ** Helper to verify a test token signed with the configured test secret ** //
+const verifyTestToken = (token) => {
+  const [header, payload, signature] = token.split('.');
+  const expected = crypto.createHmac('sha256', config.authTestSecret).update(`${header}.${payload}`).digest('base64url');
+
+  if (!signature || !signaturesMatch(expected, signature)) {
+    throw new Error('Invalid test token signature.');
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (claims.exp && claims.exp * 1000 < Date.now()) {
+    throw new Error('Test token has expired.');
+  }
+  return { ...claims, uid: claims.uid || claims.sub };
+};
+
+// ** Helper to verify an ID token with the test issuer or Firebase Auth ** //
+const verifyIdToken = (token) => {
+  if (testTokensEnabled()) {
+    return verifyTestToken(token);
+  }
+  return admin.auth().verifyIdToken(token);
+};
+
+// ** Helper to find a user's role: the token's custom claim first, then their user document ** //
+const resolveRole = async (claims) => {
+  if (ROLES.includes(claims.role)) {
+    return claims.role;
+  }
+  const userDoc = await db.collection('users').doc(claims.uid).get();
+  const role = userDoc.exists ? userDoc.data().role : null;
+  return ROLES.includes(role) ? role : 'attendee';
+};
+
+// ** Middleware to load the caller from their ID token into `req.user` ** //
+// With `{ optional: true }` anonymous requests pass through without `req.user`.
+const authenticate = ({ optional = false } = {}) => async (req, res, next) => {
+  const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+
+  if (!match) {
+    return optional ? next() : handleError(res, 401, 'Authentication required.');
+  }
+
+  try {
+    const claims = await verifyIdToken(match[1]);
+    req.user = {
+      uid: claims.uid,
+      email: claims.email || null,
+      emailVerified: Boolean(claims.email_verified),
+      role: await resolveRole(claims),
+    };
+  } catch (e) {
+    return handleError(res, 401, 'Invalid or expired token.');
+  }
+  next();
+};
+
+const isAdmin = (req) => Boolean(req.user) && req.user.role === 'admin';
+
+// ** Middleware to allow only the given roles; admins are always allowed ** //
+const requireRole = (...roles) => (req, res, next) => {
+  if (isAdmin(req) || roles.includes(req.user.role)) {
+    return next();
+  }
+  handleError(res, 403, 'You do not have permission to do this.');
+};
+
+// ** Middleware to allow only the user named by a route parameter or body field, or an admin ** //
+const requireSelf = (field, location = 'params') => (req, res, next) => {
+  if (isAdmin(req) || (req[location] && req[location][field] === req.user.uid)) {
+    return next();
+  }
+  handleError(res, 403, 'You can only access your own data.');
+};
+
+// ** Helper to check whether the user is a scanner the event's organizer assigned to it ** //
+const isAssignedScanner = (req, event) => req.user.role === 'scanner' && (event.scannerIds || []).includes(req.user.uid);
+
+// ** Middleware to allow only the organizer who owns the event, the given roles, or an admin ** //
+// The event ID comes from the route parameter or, failing that, the request body.
+// Scanners are only let in on events whose organizer listed them in `scannerIds`.
+const requireEventOwner = (field, ...roles) => async (req, res, next) => {
+  if (isAdmin(req)) {
+    return next();
+  }
+
+  try {
+    const eventId = req.params[field] || (req.body && req.body[field]);
+    const eventDoc = eventId ? await db.collection('events').doc(eventId).get() : null;
+
+    if (!eventDoc || !eventDoc.exists) {
+      return handleError(res, 404, 'Event not found.');
+    }
+    if (roles.includes(req.user.role) && (req.user.role !== 'scanner' || isAssignedScanner(req, eventDoc.data()))) {
+      return next();
+    }
+    if (req.user.role !== 'organizer' || (eventDoc.data().organizer || {}).organizerId !== req.user.uid) {
+      return handleError(res, 403, 'You can only manage your own events.');
+    }
+    next();
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while checking event ownership.');
+  }
+};
+
+// ** Middleware to allow a ticket's holder, its event's organizer when `allowOrganizer` is set, or an admin ** //
+const requireTicketAccess = ({ allowOrganizer = false } = {}) => async (req, res, next) => {
+  if (isAdmin(req)) {
+    return next();
+  }
+
+  try {
+    const ticketDoc = await db.collection('tickets').doc(req.params.ticketId).get();
+
+    if (!ticketDoc.exists) {
+      return handleError(res, 404, 'Ticket not found.');
+    }
+    if (ticketDoc.data().userId === req.user.uid) {
+      return next();
+    }
+    if (allowOrganizer && req.user.role === 'organizer') {
+      const eventDoc = await db.collection('events').doc(ticketDoc.data().eventId).get();
+      if (eventDoc.exists && (eventDoc.data().organizer || {}).organizerId === req.user.uid) {
+        return next();
+      }
+    }
+    handleError(res, 403, 'You can only access your own tickets.');
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while checking ticket ownership.');
+  }
+};
+
+// ** Middleware to allow a payment's payer or an admin ** //
+const requirePaymentOwner = async (req, res, next) => {
+  if (isAdmin(req)) {
+    return next();
+  }
+
+  try {
+    const paymentDoc = await db.collection('payments').doc(req.params.id).get();
+
+    if (!paymentDoc.exists) {
+      return res.status(404).send({ message: 'Payment record not found' });
+    }
+    if (paymentDoc.data().userId !== req.user.uid) {
+      return res.status(403).send({ message: 'You can only access your own payments' });
+    }
+    next();
+  } catch (e) {
+    res.status(500).send({ error: 'Error checking payment ownership' });
+  }
+};
+
+// ** Middleware to allow only callers whose email address has been verified; admins are always allowed ** //
+const requireVerifiedEmail = async (req, res, next) => {
+  if (isAdmin(req) || req.user.emailVerified) {
+    return next();
+  }
+
+  try {
+    const userDoc = await db.collection('users').doc(req.user.uid).get();
+    if (userDoc.exists && userDoc.data().emailVerified) {
+      return next();
+    }
+    handleError(res, 403, 'Verify your email address first.');
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while checking email verification.');
+  }
+};
+
+// ** Middleware to allow only an order's buyer or an admin ** //
+const requireOrderOwner = async (req, res, next) => {
+  if (isAdmin(req)) {
+    return next();
+  }
+
+  try {
+    const orderDoc = await db.collection('orders').doc(req.params.orderId).get();
+
+    if (!orderDoc.exists) {
+      return handleError(res, 404, 'Order not found.');
+    }
+    if (orderDoc.data().userId !== req.user.uid) {
+      return handleError(res, 403, 'You can only access your own orders.');
+    }
+    next();
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while checking order ownership.');
+  }
+};
+
+// ** Middleware to allow an attendance record's attendee, its event's organizer or scanners, or an admin ** //
+const requireAttendanceAccess = async (req, res, next) => {
+  if (isAdmin(req)) {
+    return next();
+  }
+
+  try {
+    const attendanceDoc = await db.collection('attendances').doc(req.params.id).get();
+
+    if (!attendanceDoc.exists) {
+      return res.status(404).send({ message: 'Attendance record not found' });
+    }
+    if (req.method === 'GET' && attendanceDoc.data().userId === req.user.uid) {
+      return next();
+    }
+    if (['organizer', 'scanner'].includes(req.user.role)) {
+      const eventDoc = await db.collection('events').doc(attendanceDoc.data().eventId).get();
+      if (eventDoc.exists && ((eventDoc.data().organizer || {}).organizerId === req.user.uid
+        || isAssignedScanner(req, eventDoc.data()))) {
+        return next();
+      }
+    }
+    res.status(403).send({ message: 'You do not have access to this attendance record' });
+  } catch (e) {
+    res.status(500).send({ error: 'Error checking attendance access' });
+  }
+};
+
+// ** Helper to stop organizers from creating or moving events under someone else's name ** //
+const withOwnOrganizer = (req, event) => (isAdmin(req)
+  ? event
+  : { ...event, organizer: { ...(event.organizer || {}), organizerId: req.user.uid } });
+
+// ** Helper to serialize a request body with sorted keys, so the same retry always fingerprints the same ** //
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return value === undefined ? 'null' : JSON.stringify(value);
+};
+
+// ** Middleware to make POST requests safe to retry with an `Idempotency-Key` header ** //
+// Keys are scoped to the caller and the route. A retry with the same body gets the first response back,
+// the same key with a different body is rejected, and keys are forgotten after `idempotencyKeyHours`.
+// Server errors and dropped connections free the key again so the request can be retried.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (req.method !== 'POST' || key === undefined) {
+    return next();
+  }
+  if (!key || key.length > 255) {
+    return handleError(res, 400, 'Idempotency-Key must be between 1 and 255 characters.');
+  }
+
+  const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+  // Test tokens are checked synchronously and throw when malformed, so both paths land in the catch
+  let claims = null;
+  try {
+    claims = match ? await verifyIdToken(match[1]) : null;
+  } catch (e) {
+    claims = null;
+  }
+  const scope = claims ? claims.uid : 'anonymous';
+  const keyRef = db.collection('idempotencyKeys')
+    .doc(crypto.createHash('sha256').update(`${scope}:${req.path}:${key}`).digest('hex'));
+  const fingerprint = crypto.createHash('sha256').update(canonicalJson(req.body || {})).digest('hex');
+
+  let stored;
+  try {
+    stored = await db.runTransaction(async (transaction) => {
+      const keyDoc = await transaction.get(keyRef);
+      if (keyDoc.exists && keyDoc.data().expiresAt.toMillis() > Date.now()) {
+        return keyDoc.data();
+      }
+
+      transaction.set(keyRef, {
+        state: 'in_progress',
+        fingerprint,
+        path: req.path,
+        createdAt: FieldValue.serverTimestamp(),
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + config.idempotencyKeyHours * 60 * 60 * 1000),
+      });
+      return null;
+    });
+  } catch (e) {
+    return handleError(res, 500, 'An error occurred while checking the idempotency key.');
+  }
+
+  if (stored) {
+    if (stored.fingerprint !== fingerprint) {
+      return handleError(res, 422, 'This Idempotency-Key was already used with a different request.');
+    }
+    if (stored.state !== 'completed') {
+      return handleError(res, 409, 'A request with this Idempotency-Key is still being processed.');
+    }
+    res.set('Idempotent-Replayed', 'true');
+    if (stored.contentType) {
+      res.set('Content-Type', stored.contentType);
+    }
+    return res.status(stored.statusCode).send(stored.body);
+  }
+
+  // `res.json` ends in `res.send` with the serialized body, so the last body sent is the one on the wire
+  let responseBody;
+  const send = res.send;
+  res.send = function (body) {
+    responseBody = body;
+    return send.call(this, body);
+  };
+
+  res.on('close', () => {
+    const write = !res.writableFinished || res.statusCode >= 500
+      ? keyRef.delete()
+      : keyRef.update({
+        state: 'completed',
+        statusCode: res.statusCode,
+        contentType: res.get('Content-Type') || null,
+        body: Buffer.isBuffer(responseBody) ? responseBody.toString('utf8') : String(responseBody === undefined ? '' : responseBody),
+        completedAt: FieldValue.serverTimestamp(),
+      });
+    write.catch((error) => console.error('Error saving idempotent response:', error));
+  });
+  next();
+};
+
+app.use(idempotency);
+
 
 // create users
-app.post("/api/users", async (req, res) => {
+app.post("/api/users", authenticate(), requireSelf('userId', 'body'), async (req, res) => {
   try {
-    const user = req.body;
+    const user = { ...req.body };
+    // Users may sign up as attendees or organizers; other roles are granted by an admin
+    if (!isAdmin(req) && !['attendee', 'organizer'].includes(user.role)) {
+      delete user.role;
+    }
+    // Email verification is only granted through /api/verify/confirm
+    if (!isAdmin(req)) {
+      delete user.emailVerified;
+      delete user.emailVerifiedAt;
+    }
     await db.collection("users").doc(user.userId).set(user);
     res.status(201).send("User created successfully");
   } catch (error) {
@@ -71,7 +505,7 @@ app.post("/api/users", async (req, res) => {
 
 
 // create batch users
-app.post("/api/users/batch", async (req, res) => {
+app.post("/api/users/batch", authenticate(), requireRole('admin'), async (req, res) => {
   try {
     const users = req.body;
     const batch = db.batch();
@@ -90,8 +524,164 @@ app.post("/api/users/batch", async (req, res) => {
 });
 
 
+// set a user's role
+app.put('/api/users/:userId/role', authenticate(), requireRole('admin'), async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return handleError(res, 400, 'Invalid role.');
+  }
+
+  try {
+    await db.collection('users').doc(userId).set({ role }, { merge: true });
+    // Test tokens carry their own claims; real accounts get the role as a custom claim too
+    if (!testTokensEnabled()) {
+      await admin.auth().setCustomUserClaims(userId, { role });
+    }
+    handleSuccess(res, { message: 'User role updated successfully.' });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while updating the user role.');
+  }
+});
+
+
 // event Routes
-app.post('/api/events', validateEvent, async (req, res) => {
+
+// Lowest price across ticket types, stored on the event so listings can filter and sort by price
+const lowestPrice = (price) => {
+  const amounts = Object.values(price || {}).map(Number).filter(Number.isFinite);
+  return amounts.length > 0 ? Math.min(...amounts) : null;
+};
+
+// Fields organizers set on an event. Everything else (inventory counts, listing fields, seating, scanners,
+// reminder progress, sequence, status) is kept by the server. Capacity is only taken when an event is created.
+const EDITABLE_EVENT_FIELDS = [
+  'title',
+  'date',
+  'time',
+  'endTime',
+  'timezone',
+  'location',
+  'price',
+  'description',
+  'agenda',
+  'images',
+  'category',
+  'totalCapacityNeeded',
+  'reentry',
+  'refundPolicy',
+  'resale',
+  'reminders',
+  'organizer',
+];
+const CREATE_ONLY_EVENT_FIELDS = ['ticketsLeft', 'ticketsLeftByType'];
+
+// ** Helper to keep only the fields a client may set on an event ** //
+const pickEventFields = (body, { creating = false } = {}) => {
+  const fields = creating ? [...EDITABLE_EVENT_FIELDS, ...CREATE_ONLY_EVENT_FIELDS] : EDITABLE_EVENT_FIELDS;
+  return Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+};
+
+// Listings sort and filter on `ticketsSold` and `lowestPrice`, and Firestore leaves out events without
+// them, so events created before they existed get them here: sold counts every ticket still held or paid.
+const backfillListingFields = (eventRef) => db.runTransaction(async (transaction) => {
+  const eventDoc = await transaction.get(eventRef);
+  const event = eventDoc.exists ? eventDoc.data() : null;
+  if (!event || (typeof event.ticketsSold === 'number' && event.lowestPrice !== undefined)) {
+    return false;
+  }
+
+  const updates = {};
+  if (typeof event.ticketsSold !== 'number') {
+    const ticketsSnapshot = await transaction.get(db.collection('tickets')
+      .where('eventId', '==', eventRef.id)
+      .where('status', 'in', ['pending', 'confirmed']));
+    updates.ticketsSold = ticketsSnapshot.docs.reduce((sum, doc) => sum + (doc.data().quantity || 0), 0);
+  }
+  if (event.lowestPrice === undefined) {
+    updates.lowestPrice = lowestPrice(event.price);
+  }
+  transaction.update(eventRef, updates);
+  return true;
+});
+
+// SEARCH INDEX
+// Each event has a document in `eventSearch` holding its normalized search terms per field and its
+// coordinates, written in the same batch as the event itself so the two never drift apart.
+const SEARCH_FIELD_WEIGHTS = { title: 5, category: 3, agenda: 2, description: 1 };
+const SEARCH_STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Lowercased, accent-free words of two or more characters, without stop words
+const searchTerms = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(term => term.length > 1 && !SEARCH_STOP_WORDS.has(term));
+
+// Human-readable name of an event location, whichever form it is stored in
+const locationLabel = (location) => {
+  if (!location) {
+    return '';
+  }
+  if (typeof location === 'string') {
+    return location;
+  }
+  return [location.name, location.address].filter(Boolean).join(', ');
+};
+
+// Agenda items may be plain strings or objects such as `{ time, title, description }`
+const agendaText = (agenda) => (Array.isArray(agenda) ? agenda : [])
+  .map(item => (typeof item === 'string' ? item : Object.values(item || {}).filter(value => typeof value === 'string').join(' ')))
+  .join(' ');
+
+const buildSearchEntry = (eventId, event) => {
+  const fieldTerms = {
+    title: [...new Set(searchTerms(event.title))],
+    category: [...new Set(searchTerms(event.category))],
+    agenda: [...new Set(searchTerms(agendaText(event.agenda)))],
+    description: [...new Set(searchTerms(event.description))],
+  };
+  const hasCoordinates = event.location && typeof event.location === 'object';
+
+  return {
+    eventId,
+    terms: [...new Set(Object.values(fieldTerms).flat())],
+    fieldTerms,
+    lat: hasCoordinates ? event.location.lat : null,
+    lng: hasCoordinates ? event.location.lng : null,
+    date: event.date || null,
+  };
+};
+
+const searchIndexRef = (eventId) => db.collection('eventSearch').doc(eventId);
+
+// Great-circle distance in kilometres
+const distanceKm = (lat1, lng1, lat2, lng2) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Relevance of an index entry: each query term scores by the most important field it appears in
+const relevanceScore = (entry, queryTerms) => queryTerms.reduce((score, term) => {
+  const weights = Object.keys(SEARCH_FIELD_WEIGHTS)
+    .filter(field => (entry.fieldTerms[field] || []).includes(term))
+    .map(field => SEARCH_FIELD_WEIGHTS[field]);
+  return score + (weights.length > 0 ? Math.max(...weights) : 0);
+}, 0);
+
+const EVENT_SORTS = {
+  date: { field: 'date', direction: 'asc' },
+  popularity: { field: 'ticketsSold', direction: 'desc' },
+  price: { field: 'lowestPrice', direction: 'asc' },
+};
+
+app.post('/api/events', authenticate(), requireRole('organizer'), requireVerifiedEmail, validateEvent, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
@@ -101,31 +691,53 @@ app.post('/api/events', validateEvent, async (req, res) => {
     const eventRef = db.collection('events').doc();
     const eventId = eventRef.id;
     const eventData = {
-      ...req.body,
+      ...withOwnOrganizer(req, pickEventFields(req.body, { creating: true })),
+      ticketsSold: 0,
+      lowestPrice: lowestPrice(req.body.price),
       createdAt: admin.firestore.FieldValue.serverTimestamp(),  
       eventId: eventId  
     };
-    await eventRef.set(eventData);
+    const batch = db.batch();
+    batch.set(eventRef, eventData);
+    batch.set(searchIndexRef(eventId), buildSearchEntry(eventId, eventData));
+    await batch.commit();
     res.status(201).json({ id: eventId });
   } catch (error) {
     res.status(500).json({ error: 'Error creating event' });
   }
 });
 
-app.post('/api/events/batch', async (req, res) => {
+app.post('/api/events/batch', authenticate(), requireRole('organizer'), requireVerifiedEmail, async (req, res) => {
+  const { events } = req.body;
+  if (!Array.isArray(events) || events.length === 0
+    || events.some(event => typeof event !== 'object' || event === null || Array.isArray(event))) {
+    return res.status(400).json({ error: 'events must be a non-empty array of events' });
+  }
+
   try {
-    const batch = db.batch();
-    req.body.events.forEach((event) => {
-      const eventRef = db.collection('events').doc();
-      const eventId = eventRef.id;
-      const eventData = {
-        ...event,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),  
-        eventId: eventId 
-      };
-      batch.set(eventRef, eventData);
-    });
-    await batch.commit();
+    const errors = await validateEach(validateEvent, events, 'events');
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    // Two writes per event (event and search entry) within Firestore's 500-write batch limit
+    for (let i = 0; i < events.length; i += 250) {
+      const batch = db.batch();
+      events.slice(i, i + 250).forEach((event) => {
+        const eventRef = db.collection('events').doc();
+        const eventId = eventRef.id;
+        const eventData = {
+          ...withOwnOrganizer(req, pickEventFields(event, { creating: true })),
+          ticketsSold: 0,
+          lowestPrice: lowestPrice(event.price),
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),  
+          eventId: eventId 
+        };
+        batch.set(eventRef, eventData);
+        batch.set(searchIndexRef(eventId), buildSearchEntry(eventId, eventData));
+      });
+      await batch.commit();
+    }
     res.status(201).json({ message: 'Batch events created' });
   } catch (error) {
     res.status(500).json({ error: 'Error creating batch events' });
@@ -134,13 +746,82 @@ app.post('/api/events/batch', async (req, res) => {
 
 
 
-// Get all events, optionally marking favorites for a logged-in user
-app.get('/api/events', async (req, res) => {
-  const { userId } = req.query;
+// Get a page of events, optionally filtered and sorted, marking favorites for a logged-in user
+// Filters: category, organizerId, from/to (event date), minPrice/maxPrice, available=true.
+// Sorting: sort=date|popularity|price with order=asc|desc. Pass the returned nextCursor as cursor for the next page.
+app.get('/api/events', authenticate({ optional: true }), async (req, res) => {
+  const userId = req.user && req.user.uid;
+  const {
+    category,
+    organizerId,
+    from,
+    to,
+    minPrice,
+    maxPrice,
+    available,
+    cursor,
+    sort = 'date',
+    order,
+  } = req.query;
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+  if (!Number.isInteger(limit) || limit <= 0 || limit > 100) {
+    return res.status(400).json({ error: 'Limit must be between 1 and 100' });
+  }
+  if (!EVENT_SORTS[sort]) {
+    return res.status(400).json({ error: `Sort must be one of: ${Object.keys(EVENT_SORTS).join(', ')}` });
+  }
+  if (order !== undefined && !['asc', 'desc'].includes(order)) {
+    return res.status(400).json({ error: 'Order must be asc or desc' });
+  }
+  if ([minPrice, maxPrice].some(value => value !== undefined && !Number.isFinite(Number(value)))) {
+    return res.status(400).json({ error: 'Price range must be numeric' });
+  }
 
   try {
-    const eventsSnapshot = await db.collection('events').get();
-    let events = eventsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    let eventQuery = db.collection('events');
+
+    if (category) {
+      eventQuery = eventQuery.where('category', '==', category);
+    }
+    if (organizerId) {
+      eventQuery = eventQuery.where('organizer.organizerId', '==', organizerId);
+    }
+    if (from) {
+      eventQuery = eventQuery.where('date', '>=', from);
+    }
+    if (to) {
+      eventQuery = eventQuery.where('date', '<=', to);
+    }
+    if (minPrice !== undefined) {
+      eventQuery = eventQuery.where('lowestPrice', '>=', Number(minPrice));
+    }
+    if (maxPrice !== undefined) {
+      eventQuery = eventQuery.where('lowestPrice', '<=', Number(maxPrice));
+    }
+    if (available === 'true') {
+      eventQuery = eventQuery.where('ticketsLeft', '>', 0);
+    }
+
+    const { field, direction } = EVENT_SORTS[sort];
+    // The document ID breaks ties so the cursor always lands on a stable position
+    eventQuery = eventQuery
+      .orderBy(field, order || direction)
+      .orderBy(admin.firestore.FieldPath.documentId(), order || direction);
+
+    if (cursor) {
+      const cursorDoc = await db.collection('events').doc(String(cursor)).get();
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      eventQuery = eventQuery.startAfter(cursorDoc);
+    }
+
+    // One extra document tells us whether there is another page
+    const eventsSnapshot = await eventQuery.limit(limit + 1).get();
+    const pageDocs = eventsSnapshot.docs.slice(0, limit);
+    const nextCursor = eventsSnapshot.size > limit ? pageDocs[pageDocs.length - 1].id : null;
+    let events = pageDocs.map(doc => ({ id: doc.id, ...doc.data() }));
 
     if (userId) {
       const favoriteRef = db.collection('favorites').doc(userId);
@@ -161,7 +842,7 @@ app.get('/api/events', async (req, res) => {
       }
     }
 
-    res.status(200).json(events);
+    res.status(200).json({ events, nextCursor });
   } catch (error) {
     console.error('Error fetching events:', error);
     res.status(500).json({ error: 'Error fetching events' });
@@ -169,13 +850,113 @@ app.get('/api/events', async (req, res) => {
 });
 
 
+// Search events by keywords (q) and/or distance (lat, lng, radiusKm), most relevant or nearest first
+app.get('/api/events/search', async (req, res) => {
+  const queryTerms = [...new Set(searchTerms(req.query.q))].slice(0, 30);
+  const hasGeo = req.query.lat !== undefined || req.query.lng !== undefined;
+  const lat = Number(req.query.lat);
+  const lng = Number(req.query.lng);
+  const radiusKm = req.query.radiusKm === undefined ? 25 : Number(req.query.radiusKm);
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+  if (queryTerms.length === 0 && !hasGeo) {
+    return res.status(400).json({ error: 'Provide search keywords or a location' });
+  }
+  if (hasGeo && (!Number.isFinite(lat) || !Number.isFinite(lng) || !(radiusKm > 0) || radiusKm > 500)) {
+    return res.status(400).json({ error: 'Location search needs numeric lat, lng and a radiusKm up to 500' });
+  }
+  if (!Number.isInteger(limit) || limit <= 0 || limit > 100) {
+    return res.status(400).json({ error: 'Limit must be between 1 and 100' });
+  }
+
+  try {
+    let searchQuery = db.collection('eventSearch');
+    if (queryTerms.length > 0) {
+      searchQuery = searchQuery.where('terms', 'array-contains-any', queryTerms);
+    }
+    if (hasGeo) {
+      // Narrow to a latitude band in the query, then check the exact distance below
+      const latDelta = radiusKm / 111;
+      searchQuery = searchQuery.where('lat', '>=', lat - latDelta).where('lat', '<=', lat + latDelta);
+    }
+
+    const snapshot = await searchQuery.get();
+    const matches = snapshot.docs
+      .map((doc) => {
+        const entry = doc.data();
+        return {
+          eventId: entry.eventId,
+          score: queryTerms.length > 0 ? relevanceScore(entry, queryTerms) : 0,
+          distanceKm: hasGeo && entry.lng !== null ? distanceKm(lat, lng, entry.lat, entry.lng) : null,
+        };
+      })
+      .filter(match => !hasGeo || (match.distanceKm !== null && match.distanceKm <= radiusKm))
+      .sort((a, b) => (b.score - a.score) || ((a.distanceKm || 0) - (b.distanceKm || 0)))
+      .slice(0, limit);
+
+    if (matches.length === 0) {
+      return res.status(200).json([]);
+    }
+
+    const eventDocs = await db.getAll(...matches.map(match => db.collection('events').doc(match.eventId)));
+    const results = eventDocs
+      .map((doc, index) => (doc.exists ? {
+        id: doc.id,
+        ...doc.data(),
+        score: matches[index].score,
+        distanceKm: matches[index].distanceKm === null ? null : Math.round(matches[index].distanceKm * 10) / 10,
+      } : null))
+      .filter(Boolean);
+
+    res.status(200).json(results);
+  } catch (error) {
+    console.error('Error searching events:', error);
+    res.status(500).json({ error: 'Error searching events' });
+  }
+});
+
+// Rebuild the search index from the events collection, e.g. for events created before it existed,
+// and fill in the listing fields of events that predate them
+app.post('/api/events/search/reindex', authenticate(), requireRole('admin'), async (req, res) => {
+  try {
+    const snapshot = await db.collection('events').get();
+    for (let i = 0; i < snapshot.docs.length; i += 500) {
+      const batch = db.batch();
+      snapshot.docs.slice(i, i + 500).forEach(doc => {
+        batch.set(searchIndexRef(doc.id), buildSearchEntry(doc.id, doc.data()));
+      });
+      await batch.commit();
+    }
+
+    let backfilledEvents = 0;
+    for (const doc of snapshot.docs) {
+      if (typeof doc.data().ticketsSold !== 'number' || doc.data().lowestPrice === undefined) {
+        backfilledEvents += await backfillListingFields(doc.ref) ? 1 : 0;
+      }
+    }
+    res.status(200).json({ message: 'Search index rebuilt', indexedEvents: snapshot.size, backfilledEvents });
+  } catch (error) {
+    res.status(500).json({ error: 'Error rebuilding search index' });
+  }
+});
+
+// Get an event as JSON, or as an iCalendar file with /api/events/:id.ics, ?format=ics or Accept: text/calendar
 app.get('/api/events/:id', async (req, res) => {
+  const wantsCalendar = req.params.id.endsWith('.ics') || req.query.format === 'ics'
+    || req.accepts(['json', 'text/calendar']) === 'text/calendar';
+  const eventId = req.params.id.replace(/\.ics$/, '');
+
   try {
-    const eventRef = db.collection('events').doc(req.params.id);
+    const eventRef = db.collection('events').doc(eventId);
     const doc = await eventRef.get();
     if (!doc.exists) {
       return res.status(404).json({ error: 'Event not found' });
     }
+    if (wantsCalendar) {
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${doc.id}.ics"`);
+      return res.status(200).send(buildICalendar([{ id: doc.id, event: doc.data() }], doc.data().title || 'Event'));
+    }
     res.status(200).json({ id: doc.id, ...doc.data() });
   } catch (error) {
     res.status(500).json({ error: 'Error fetching event' });
@@ -192,7 +973,7 @@ app.get('/api/events/organizer/:organizerId', async (req, res) => {
   }
 });
 
-app.put('/api/events/:id', validateEvent, async (req, res) => {
+app.put('/api/events/:id', authenticate(), requireEventOwner('id'), validateEventDetails, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
@@ -200,24 +981,50 @@ app.put('/api/events/:id', validateEvent, async (req, res) => {
 
   try {
     const eventRef = db.collection('events').doc(req.params.id);
-    await eventRef.update(req.body);
+    const updates = withOwnOrganizer(req, pickEventFields(req.body));
+    const batch = db.batch();
+    batch.update(eventRef, {
+      ...updates,
+      lowestPrice: lowestPrice(updates.price),
+      // Calendar feeds use these to tell subscribers the event changed
+      sequence: FieldValue.increment(1),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    batch.set(searchIndexRef(req.params.id), buildSearchEntry(req.params.id, updates));
+    await batch.commit();
     res.status(200).json({ message: 'Event updated' });
   } catch (error) {
     res.status(500).json({ error: 'Error updating event' });
   }
 });
 
-app.delete('/api/events/:id', async (req, res) => {
+// Deleted events leave a canceled copy in `deletedEvents` so calendar feeds can tell subscribers
+const eventTombstone = (event) => ({
+  ...event,
+  status: 'canceled',
+  sequence: (event.sequence || 0) + 1,
+  updatedAt: FieldValue.serverTimestamp(),
+  deletedAt: FieldValue.serverTimestamp(),
+});
+
+app.delete('/api/events/:id', authenticate(), requireEventOwner('id'), async (req, res) => {
   try {
     const eventRef = db.collection('events').doc(req.params.id);
-    await eventRef.delete();
+    const doc = await eventRef.get();
+    const batch = db.batch();
+    if (doc.exists) {
+      batch.set(db.collection('deletedEvents').doc(req.params.id), eventTombstone(doc.data()));
+    }
+    batch.delete(eventRef);
+    batch.delete(searchIndexRef(req.params.id));
+    await batch.commit();
     res.status(200).json({ message: 'Event deleted' });
   } catch (error) {
     res.status(500).json({ error: 'Error deleting event' });
   }
 });
 
-app.delete('/api/events', async (req, res) => {
+app.delete('/api/events', authenticate(), requireRole('admin'), async (req, res) => {
   try {
     // Retrieve all events
     const snapshot = await db.collection('events').get();
@@ -225,14 +1032,16 @@ app.delete('/api/events', async (req, res) => {
       return res.status(404).json({ message: 'No events found' });
     }
 
-    // Create a batch to delete all documents
-    const batch = db.batch();
-    snapshot.docs.forEach(doc => {
-      batch.delete(doc.ref);
-    });
-
-    // Commit the batch
-    await batch.commit();
+    // Delete events with their search entries and leave tombstones, three writes each within the 500-write batch limit
+    for (let i = 0; i < snapshot.docs.length; i += 150) {
+      const batch = db.batch();
+      snapshot.docs.slice(i, i + 150).forEach(doc => {
+        batch.set(db.collection('deletedEvents').doc(doc.id), eventTombstone(doc.data()));
+        batch.delete(doc.ref);
+        batch.delete(searchIndexRef(doc.id));
+      });
+      await batch.commit();
+    }
     res.status(200).json({ message: 'All events deleted' });
   } catch (error) {
     res.status(500).json({ error: 'Error deleting all events' });
@@ -242,7 +1051,7 @@ app.delete('/api/events', async (req, res) => {
 
 
 // Get favorited events for a user, marking all as liked
-app.get('/api/users/:userId/favorites', async (req, res) => {
+app.get('/api/users/:userId/favorites', authenticate(), requireSelf('userId'), async (req, res) => {
   const { userId } = req.params;
 
   try {
@@ -282,11 +1091,8 @@ app.get('/api/users/:userId/favorites', async (req, res) => {
 
 
 // Toggle favorite/unfavorite event for a user
-app.post('/api/events/:id/toggleFavorite', async (req, res) => {
-  const { userId } = req.body;
-  if (!userId) {
-    return res.status(400).json({ error: 'User ID is required' });
-  }
+app.post('/api/events/:id/toggleFavorite', authenticate(), async (req, res) => {
+  const userId = req.user.uid;
 
   try {
     const favoriteRef = db.collection('favorites').doc(userId);
@@ -319,73 +1125,136 @@ app.post('/api/events/:id/toggleFavorite', async (req, res) => {
 
 
 
-// Get suggestions for a user, optionally marking favorites for a logged-in user
-app.get('/api/users/:userId/suggestions', async (req, res) => {
-  const { userId } = req.params;
-
-  try {
-    // Get the user's favorite events from the favorites collection
-    const favoriteRef = db.collection('favorites').doc(userId);
-    const favoriteDoc = await favoriteRef.get();
+// RECOMMENDATIONS
+// Upcoming events are scored against what the user has favorited, bought and attended: matching
+// categories, organizers and places, plus how popular and how soon each event is. Users without any
+// history get trending events instead.
+const RECOMMENDATION_SIGNAL_WEIGHTS = { favorite: 2, purchase: 3, attendance: 4 };
+const RECOMMENDATION_CANDIDATES = 200;
+const NEARBY_KM = 30;
 
-    if (!favoriteDoc.exists) {
-      return res.status(404).json({ error: 'No favorites found for this user' });
-    }
+// Adds `weight` to `key` in a tally object
+const tally = (counts, key, weight) => {
+  if (key) {
+    counts[key] = (counts[key] || 0) + weight;
+  }
+};
 
-    const favoriteEvents = favoriteDoc.data().events;
+// A key's share of the largest tally, from 0 to 1
+const affinity = (counts, key) => {
+  const max = Math.max(0, ...Object.values(counts));
+  return key && max > 0 ? (counts[key] || 0) / max : 0;
+};
 
-    // If there are no favorite events, return an empty list
-    if (!favoriteEvents || favoriteEvents.length === 0) {
-      return res.status(200).json([]);
-    }
+// Days from now until an event's date, or null if it has none
+const daysUntil = (event) => {
+  const time = Date.parse(event.date);
+  return Number.isNaN(time) ? null : (time - Date.now()) / (24 * 60 * 60 * 1000);
+};
 
-    // Fetch the categories and locations of the favorite events
-    const favoriteCategories = new Set();
-    const favoriteLocations = new Set();
+// Builds the user's taste profile from the events they have interacted with
+const buildTasteProfile = (historyEvents) => {
+  const profile = { categories: {}, organizers: {}, places: {}, coordinates: [], signals: 0 };
 
-    const favoriteEventsSnapshot = await db.collection('events')
-      .where(admin.firestore.FieldPath.documentId(), 'in', favoriteEvents)
-      .get();
+  historyEvents.forEach(({ event, weight }) => {
+    tally(profile.categories, event.category, weight);
+    tally(profile.organizers, event.organizer && event.organizer.organizerId, weight);
+    tally(profile.places, locationLabel(event.location).toLowerCase(), weight);
+    if (event.location && typeof event.location === 'object') {
+      profile.coordinates.push(event.location);
+    }
+    profile.signals += weight;
+  });
 
-    favoriteEventsSnapshot.docs.forEach(doc => {
-      const data = doc.data();
-      if (data.category) {
-        favoriteCategories.add(data.category);
-      }
-      if (data.location) {
-        favoriteLocations.add(data.location);
-      }
-    });
+  return profile;
+};
 
-    // If there are no categories or locations, return an empty list
-    if (favoriteCategories.size === 0 && favoriteLocations.size === 0) {
-      return res.status(200).json([]);
-    }
+// Scores one upcoming event and explains the strongest reason for suggesting it
+const scoreRecommendation = (event, profile, maxSold) => {
+  const days = daysUntil(event);
+  const isNearby = event.location && typeof event.location === 'object'
+    && profile.coordinates.some(place => distanceKm(place.lat, place.lng, event.location.lat, event.location.lng) <= NEARBY_KM);
+
+  const parts = [
+    { score: 40 * affinity(profile.categories, event.category), reason: `Because you like ${event.category} events` },
+    { score: 20 * affinity(profile.organizers, event.organizer && event.organizer.organizerId), reason: 'From an organizer you have been to before' },
+    {
+      score: 15 * Math.max(affinity(profile.places, locationLabel(event.location).toLowerCase()), isNearby ? 1 : 0),
+      reason: 'Near places you have been to',
+    },
+    { score: maxSold > 0 ? 15 * Math.log1p(event.ticketsSold || 0) / Math.log1p(maxSold) : 0, reason: 'Popular right now' },
+    { score: days !== null && days <= 30 ? 10 * (1 - Math.max(days, 0) / 30) : 0, reason: 'Happening soon' },
+  ];
+
+  const best = parts.reduce((a, b) => (b.score > a.score ? b : a));
+  return {
+    score: Math.round(parts.reduce((sum, part) => sum + part.score, 0) * 10) / 10,
+    reason: best.score > 0 ? best.reason : 'Upcoming event',
+  };
+};
 
-    // Build the query
-    let eventQuery = db.collection('events');
-    
-    if (favoriteCategories.size > 0) {
-      eventQuery = eventQuery.where('category', 'in', Array.from(favoriteCategories));
-    }
-    
-    if (favoriteLocations.size > 0) {
-      eventQuery = eventQuery.where('location', 'in', Array.from(favoriteLocations));
-    }
+// Get scored suggestions of upcoming events for a user
+app.get('/api/users/:userId/suggestions', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
 
-    // Fetch the events based on categories and locations
-    const snapshot = await eventQuery.limit(10).get();
-    let suggestedEvents = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  if (!Number.isInteger(limit) || limit <= 0 || limit > 50) {
+    return res.status(400).json({ error: 'Limit must be between 1 and 50' });
+  }
 
-    // Add isLiked field if the user is logged in
-    if (userId) {
-      suggestedEvents = suggestedEvents.map(event => ({
-        ...event,
-        isLiked: favoriteEvents.includes(event.id),
-      }));
-    }
+  try {
+    const [favoriteDoc, ticketsSnapshot, attendanceSnapshot] = await Promise.all([
+      db.collection('favorites').doc(userId).get(),
+      db.collection('tickets').where('userId', '==', userId).get(),
+      db.collection('attendances').where('userId', '==', userId).get(),
+    ]);
+
+    const favoriteEvents = favoriteDoc.exists ? favoriteDoc.data().events || [] : [];
+    const liveTickets = ticketsSnapshot.docs.map(doc => doc.data()).filter(ticket => ['pending', 'confirmed'].includes(ticket.status));
+    const attendedEventIds = attendanceSnapshot.docs
+      .map(doc => doc.data())
+      .filter(attendance => attendance.attendanceStatus === 'attended')
+      .map(attendance => attendance.eventId);
+
+    // Weight each event by every way the user has interacted with it
+    const signalWeights = {};
+    favoriteEvents.forEach(eventId => tally(signalWeights, eventId, RECOMMENDATION_SIGNAL_WEIGHTS.favorite));
+    liveTickets.forEach(ticket => tally(signalWeights, ticket.eventId, RECOMMENDATION_SIGNAL_WEIGHTS.purchase));
+    attendedEventIds.forEach(eventId => tally(signalWeights, eventId, RECOMMENDATION_SIGNAL_WEIGHTS.attendance));
+
+    const historyIds = Object.keys(signalWeights).slice(0, 100);
+    const historyDocs = historyIds.length > 0
+      ? await db.getAll(...historyIds.map(eventId => db.collection('events').doc(eventId)))
+      : [];
+    const profile = buildTasteProfile(historyDocs
+      .filter(doc => doc.exists)
+      .map(doc => ({ event: doc.data(), weight: signalWeights[doc.id] })));
+
+    const candidatesSnapshot = await db.collection('events')
+      .where('date', '>=', new Date().toISOString().slice(0, 10))
+      .orderBy('date')
+      .limit(RECOMMENDATION_CANDIDATES)
+      .get();
 
-    res.status(200).json(suggestedEvents);
+    // Leave out events the user already liked or holds tickets for
+    const excluded = new Set([...favoriteEvents, ...liveTickets.map(ticket => ticket.eventId)]);
+    const candidates = candidatesSnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(event => !excluded.has(event.id));
+    const maxSold = Math.max(0, ...candidates.map(event => event.ticketsSold || 0));
+
+    const suggestions = candidates
+      .map((event) => {
+        if (profile.signals === 0) {
+          const { score } = scoreRecommendation(event, profile, maxSold);
+          return { ...event, isLiked: false, score, reason: 'Trending now' };
+        }
+        return { ...event, isLiked: false, ...scoreRecommendation(event, profile, maxSold) };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    res.status(200).json(suggestions);
   } catch (error) {
     console.error('Error fetching suggestions:', error);
     res.status(500).json({ error: 'Error fetching suggestions' });
@@ -397,10 +1266,11 @@ app.get('/api/users/:userId/suggestions', async (req, res) => {
 // TICKETS ROUTES
 
 // ** Helper function to handle errors and responses ** //
-const handleError = (res, status, message) => {
+const handleError = (res, status, message, data) => {
   res.status(status).json({
     success: false,
     message,
+    ...(data !== undefined && { data }),
   });
 };
 
@@ -412,601 +1282,5567 @@ const handleSuccess = (res, data) => {
   });
 };
 
-// ** 1. Get Event Revenue ** //
-app.get('/api/events/:eventId/revenue', async (req, res) => {
-  const { eventId } = req.params;
+// ** Helper to build an error carrying an HTTP status, thrown out of transactions ** //
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
 
-  try {
-    const ticketsSnapshot = await db.collection('tickets').where('eventId', '==', eventId).get();
+// ** Helper to round money to the smallest currency unit ** //
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
 
-    if (ticketsSnapshot.empty) {
-      return handleError(res, 404, 'No tickets found for this event.');
-    }
+// ** Helper to find a timezone's UTC offset in minutes at a given instant ** //
+const timezoneOffsetMinutes = (date, timeZone) => {
+  const offsetName = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName').value;
+  const match = offsetName.match(/GMT([+-])(\d{2}):(\d{2})/);
+  return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+};
+
+// ** Helper to turn a wall-clock time in a timezone into the instant it names ** //
+// The second pass settles times close to a daylight saving change.
+const zonedTimeToUtc = (year, month, day, hours, minutes, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  const firstGuess = wallClock - timezoneOffsetMinutes(new Date(wallClock), timeZone) * 60 * 1000;
+  return new Date(wallClock - timezoneOffsetMinutes(new Date(firstGuess), timeZone) * 60 * 1000);
+};
 
-    const totalRevenue = ticketsSnapshot.docs.reduce((sum, doc) => sum + (doc.data().totalPrice || 0), 0);
+// ** Helper to pick an event's timezone, falling back to the configured default ** //
+const eventTimezone = (event) => (isValidTimezone(event.timezone) ? event.timezone : config.defaultTimezone);
 
-    handleSuccess(res, { totalRevenue });
-  } catch (e) {
-    handleError(res, 500, 'An error occurred while retrieving event revenue.');
+// ** Helper to work out when an event starts from its `date` and optional `time` ("19:30" or "7:30 PM") ** //
+// Both are wall-clock values in the event's `timezone`.
+const eventStartsAt = (event) => {
+  const date = String(event.date || '').slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return null;
   }
-});
 
-// ** 2. Get Event Statistics ** //
-app.get('/api/events/:eventId/statistics', async (req, res) => {
-  const { eventId } = req.params;
+  let hours = 0;
+  let minutes = 0;
+  const time = String(event.time || '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (time) {
+    hours = Number(time[1]) % (time[3] ? 12 : 24) + (time[3] && time[3].toLowerCase() === 'pm' ? 12 : 0);
+    minutes = Number(time[2] || 0);
+  }
 
-  try {
-    const ticketsSnapshot = await db.collection('tickets').where('eventId', '==', eventId).get();
+  const [year, month, day] = date.split('-').map(Number);
+  return zonedTimeToUtc(year, month, day, hours, minutes, eventTimezone(event));
+};
 
-    if (ticketsSnapshot.empty) {
-      handleSuccess(res, {
-      totalTickets: 0,
-      totalRevenue:0,
-      soldTickets:0,
-      canceledTickets:0,
-    }); ;
+// ** Helper to work out when an event ends: its `endTime` on the same day, or a default duration after it starts ** //
+const eventEndsAt = (event) => {
+  const startsAt = eventStartsAt(event);
+  if (!startsAt) {
+    return null;
+  }
+
+  const endsAt = event.endTime ? eventStartsAt({ ...event, time: event.endTime }) : null;
+  if (!endsAt) {
+    return new Date(startsAt.getTime() + config.defaultEventDurationHours * 60 * 60 * 1000);
+  }
+  // An end time before the start means the event runs past midnight
+  return endsAt < startsAt ? new Date(endsAt.getTime() + 24 * 60 * 60 * 1000) : endsAt;
+};
+
+// ** iCalendar ** //
+// Events are exported with local times in their own timezone (`DTSTART;TZID=...`) plus a VTIMEZONE describing
+// that zone's offsets and daylight saving changes for the years involved. `SEQUENCE` follows the event's
+// `sequence`, bumped on every update, so subscribed calendars pick up rescheduled events.
+const ICS_PRODUCT_ID = '-//ticketron//events//EN';
+
+const icsEscape = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets, continuing with a leading space
+const icsFold = (line) => {
+  const folded = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    if (currentBytes + charBytes > (folded.length === 0 ? 75 : 74)) {
+      folded.push(current);
+      current = '';
+      currentBytes = 0;
     }
+    current += char;
+    currentBytes += charBytes;
+  }
+  folded.push(current);
+  return folded.join('\r\n ');
+};
 
-    let totalRevenue = 0;
-    const paymentSnapshot = await db.collection('payments').where('eventId', '==', eventId).where('status', '==', 'paid').get();
-    if (paymentSnapshot.empty) {
-      totalRevenue = 0; 
+const pad2 = (value) => String(value).padStart(2, '0');
+
+const icsUtcTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Local date-time of an instant in `timeZone`, or at a fixed UTC offset in minutes
+const icsLocalTime = (date, timeZone) => {
+  const offset = typeof timeZone === 'number' ? timeZone : timezoneOffsetMinutes(date, timeZone);
+  return icsUtcTime(new Date(date.getTime() + offset * 60 * 1000)).replace('Z', '');
+};
+
+const icsOffset = (minutes) => `${minutes < 0 ? '-' : '+'}${pad2(Math.floor(Math.abs(minutes) / 60))}${pad2(Math.abs(minutes) % 60)}`;
+
+// ** Helper to describe a timezone's offsets and changes during the given years as a VTIMEZONE ** //
+const buildVTimezone = (timeZone, years) => {
+  const day = 24 * 60 * 60 * 1000;
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const observance = (from, to, at, lowestOffset) => [
+    `BEGIN:${to > lowestOffset ? 'DAYLIGHT' : 'STANDARD'}`,
+    `DTSTART:${icsLocalTime(at, from)}`,
+    `TZOFFSETFROM:${icsOffset(from)}`,
+    `TZOFFSETTO:${icsOffset(to)}`,
+    `END:${to > lowestOffset ? 'DAYLIGHT' : 'STANDARD'}`,
+  ];
+
+  [...new Set(years)].sort().forEach((year) => {
+    const yearStart = new Date(Date.UTC(year, 0, 1));
+    const transitions = [];
+    let previous = timezoneOffsetMinutes(yearStart, timeZone);
+
+    for (let time = yearStart.getTime() + day; new Date(time).getUTCFullYear() === year; time += day) {
+      const offset = timezoneOffsetMinutes(new Date(time), timeZone);
+      if (offset !== previous) {
+        // Narrow the change down to the minute it happens
+        let before = time - day;
+        let after = time;
+        while (after - before > 60 * 1000) {
+          const middle = before + Math.floor((after - before) / 2 / 60000) * 60000;
+          if (timezoneOffsetMinutes(new Date(middle), timeZone) === previous) {
+            before = middle;
+          } else {
+            after = middle;
+          }
+        }
+        transitions.push({ from: previous, to: offset, at: new Date(after) });
+        previous = offset;
+      }
     }
 
-    paymentSnapshot.forEach(doc => {
-      totalRevenue += doc.data().amount;
-    });
+    const startOffset = timezoneOffsetMinutes(yearStart, timeZone);
+    const lowestOffset = Math.min(startOffset, ...transitions.map(transition => transition.to));
+    lines.push(...observance(startOffset, startOffset, yearStart, lowestOffset));
+    transitions.forEach(({ from, to, at }) => lines.push(...observance(from, to, at, lowestOffset)));
+  });
 
-    const totalTickets = ticketsSnapshot.size;
-    const soldTickets = ticketsSnapshot.docs.filter(doc => doc.data().status === 'confirmed').length;
-    const canceledTickets = ticketsSnapshot.docs.filter(doc => doc.data().status === 'pending').length;
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
 
-    handleSuccess(res, {
-      totalTickets,
-      totalRevenue,
-      soldTickets,
-      canceledTickets,
-    });
-  } catch (e) {
-    handleError(res, 500, 'An error occurred while retrieving event statistics.');
+// ** Helper to render an event as a VEVENT, or nothing when it has no usable date ** //
+const buildVEvent = (eventId, event, stamp) => {
+  const startsAt = eventStartsAt(event);
+  if (!startsAt) {
+    return [];
   }
-});
 
-// ** 3. Update Ticket Status ** //
-app.put('/api/tickets/:ticketId/status', async (req, res) => {
-  const { ticketId } = req.params;
-  const { status } = req.body;
+  const timeZone = eventTimezone(event);
+  const agenda = (Array.isArray(event.agenda) ? event.agenda : []).map(item => agendaText([item])).filter(Boolean);
+  const description = [event.description, agenda.length > 0 ? `Agenda:\n${agenda.join('\n')}` : null]
+    .filter(Boolean)
+    .join('\n\n');
+  const hasCoordinates = event.location && typeof event.location === 'object';
+  const updatedAt = event.updatedAt && event.updatedAt.toDate ? event.updatedAt.toDate() : null;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${eventId}@ticketron`,
+    `DTSTAMP:${icsUtcTime(stamp)}`,
+    `DTSTART;TZID=${timeZone}:${icsLocalTime(startsAt, timeZone)}`,
+    `DTEND;TZID=${timeZone}:${icsLocalTime(eventEndsAt(event), timeZone)}`,
+    `SUMMARY:${icsEscape(event.title)}`,
+    `LOCATION:${icsEscape(locationLabel(event.location))}`,
+    ...(hasCoordinates ? [`GEO:${event.location.lat};${event.location.lng}`] : []),
+    `DESCRIPTION:${icsEscape(description)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    ...(updatedAt ? [`LAST-MODIFIED:${icsUtcTime(updatedAt)}`] : []),
+    `STATUS:${event.status === 'canceled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+  ];
+};
 
-  try {
-    if (!['confirmed', 'canceled', 'pending'].includes(status)) {
-      return handleError(res, 400, 'Invalid status.');
-    }
+// ** Helper to build a calendar from `{ id, event }` pairs ** //
+const buildICalendar = (events, name) => {
+  const stamp = new Date();
+  const datedEvents = events.filter(({ event }) => eventStartsAt(event));
+  const yearsByZone = {};
+  datedEvents.forEach(({ event }) => {
+    const timeZone = eventTimezone(event);
+    yearsByZone[timeZone] = [
+      ...(yearsByZone[timeZone] || []),
+      eventStartsAt(event).getUTCFullYear(),
+      eventEndsAt(event).getUTCFullYear(),
+    ];
+  });
 
-    const ticketRef = db.collection('tickets').doc(ticketId);
-    const ticket = await ticketRef.get();
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsEscape(name)}`,
+    ...Object.entries(yearsByZone).flatMap(([timeZone, years]) => buildVTimezone(timeZone, years)),
+    ...datedEvents.flatMap(({ id, event }) => buildVEvent(id, event, stamp)),
+    'END:VCALENDAR',
+  ].map(icsFold).join('\r\n') + '\r\n';
+};
 
-    if (!ticket.exists) {
-      return handleError(res, 404, 'Ticket not found.');
-    }
+// ** PDF documents ** //
+// Tickets and receipts are drawn with the built-in Helvetica fonts and vector QR codes and barcodes, and the
+// PDF creation date comes from the ticket or payment, so the same data always renders the same bytes.
+const toDate = (value) => {
+  if (!value) {
+    return new Date(0);
+  }
+  return value.toDate ? value.toDate() : new Date(value);
+};
 
-    await ticketRef.update({ status });
-    handleSuccess(res, { message: 'Ticket status updated successfully.' });
-  } catch (e) {
-    handleError(res, 500, 'An error occurred while updating ticket status.');
+// ** Helper to render a PDF into a buffer ** //
+// pdfkit derives the file ID from the info dictionary, so pinning both dates here pins the ID as well.
+const renderPdf = (title, createdAt, draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: title,
+      Producer: 'ticketron',
+      Creator: 'ticketron',
+      CreationDate: createdAt,
+      ModDate: createdAt,
+    },
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
   }
 });
 
-// ** 4. Buy a Ticket ** //
-app.post('/api/tickets/buy', async (req, res) => {
-  const {
-    eventId,
-    userId,
-    seat,
-    ticketType,
-    quantity,
-    totalPrice,
-    barcode,
-    qrcode,
-  } = req.body;
+// ** Helper to send a rendered PDF ** //
+const sendPdf = (res, filename, pdf) => {
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.status(200).send(pdf);
+};
 
-  try {
-    if (quantity <= 0 || totalPrice <= 0) {
-      return handleError(res, 400, 'Invalid quantity or total price.');
+// ** Helper to draw a QR code as filled squares ** //
+const drawQrCode = (doc, text, x, y, size) => {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const quietZone = 4;
+  const cell = size / (modules.size + quietZone * 2);
+
+  for (let row = 0; row < modules.size; row += 1) {
+    for (let column = 0; column < modules.size; column += 1) {
+      if (modules.get(row, column)) {
+        doc.rect(x + (column + quietZone) * cell, y + (row + quietZone) * cell, cell, cell);
+      }
     }
+  }
+  doc.fillColor('black').fill();
+};
 
-    const eventDoc = db.collection('events').doc(eventId);
-    const event = await eventDoc.get();
+// ** Helper to draw a Code 128 barcode with its text underneath ** //
+const drawBarcode = (doc, text, x, y, width, height) => {
+  const [{ sbs }] = bwipjs.raw('code128', text);
+  const moduleWidth = width / sbs.reduce((sum, modules) => sum + modules, 0);
 
-    if (!event.exists) {
-      return handleError(res, 404, 'Event not found.');
+  let position = x;
+  sbs.forEach((modules, index) => {
+    // Widths alternate bar, space, bar, ...
+    if (index % 2 === 0) {
+      doc.rect(position, y, modules * moduleWidth, height);
     }
+    position += modules * moduleWidth;
+  });
+  doc.fillColor('black').fill();
+  doc.font('Courier').fontSize(8).text(text, x, y + height + 4, { width, align: 'center' });
+};
 
-    const userDoc = db.collection('users').doc(userId);
-    const user = await userDoc.get();
+// ** Helper to draw a label and value pair ** //
+const drawField = (doc, label, value, x, y, width = 240) => {
+  doc.font('Helvetica').fontSize(8).fillColor('#666666').text(label.toUpperCase(), x, y, { width });
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('black').text(value || '-', x, y + 11, { width });
+};
 
-    if (!user.exists) {
-      return handleError(res, 404, 'User not found.');
-    }
+// ** Helper to describe when and where an event happens for printing ** //
+const eventWhenWhere = (event) => ({
+  when: [event.date ? String(event.date).slice(0, 10) : null, event.time, `(${eventTimezone(event)})`]
+    .filter(Boolean).join(' '),
+  where: locationLabel(event.location),
+});
 
-    const ticketRef = db.collection('tickets').doc();
-    const ticketId = ticketRef.id;
+// ** Helper to draw one ticket on its own page ** //
+const drawTicketPage = (doc, { ticket, event, holderName }) => {
+  const { when, where } = eventWhenWhere(event);
 
-    await ticketRef.set({
-      ticketId,
-      eventId,
-      userId,
-      seat,
-      ticketType,
-      quantity,
-      totalPrice,
-      status: 'pending',
-      barcode,
-      qrcode,
-    });
+  doc.rect(40, 40, 515, 400).lineWidth(1).strokeColor('#999999').stroke();
+  doc.font('Helvetica').fontSize(10).fillColor('#666666').text('ticketron', 60, 60);
+  doc.font('Helvetica-Bold').fontSize(22).fillColor('black').text(event.title || 'Event', 60, 80, { width: 300 });
 
-    handleSuccess(res, { message: 'Ticket purchased successfully.', ticketId });
-  } catch (e) {
-    handleError(res, 500, 'An error occurred while buying the ticket.');
-  }
-});
+  drawField(doc, 'When', when, 60, 150, 300);
+  drawField(doc, 'Where', where, 60, 190, 300);
+  drawField(doc, 'Ticket type', ticket.ticketType, 60, 230, 140);
+  drawField(doc, 'Seat', ticket.seat || 'General admission', 210, 230, 150);
+  drawField(doc, 'Holder', holderName, 60, 270, 140);
+  drawField(doc, 'Admits', String(ticket.quantity || 1), 210, 270, 150);
+  drawField(doc, 'Ticket ID', ticket.ticketId, 60, 310, 300);
 
-// ** 5. Get Ticket Details ** //
-app.get('/api/tickets/:ticketId', async (req, res) => {
-  const { ticketId } = req.params;
+  if (['canceled', 'expired'].includes(ticket.status)) {
+    doc.font('Helvetica-Bold').fontSize(28).fillColor('#cc0000').text(ticket.status.toUpperCase(), 60, 345);
+  }
 
-  try {
-    const ticketRef = db.collection('tickets').doc(ticketId);
-    const ticket = await ticketRef.get();
+  drawQrCode(doc, ticket.qrcode, 375, 70, 160);
+  drawBarcode(doc, ticket.barcode, 60, 380, 475, 36);
+};
 
-    if (!ticket.exists) {
-      return handleError(res, 404, 'Ticket not found.');
+// ** Helper to render a PDF with one page per ticket ** //
+const renderTicketsPdf = (entries) => renderPdf(
+  entries.length === 1 ? `Ticket ${entries[0].ticket.ticketId}` : 'Tickets',
+  toDate(entries[0].ticket.credential && entries[0].ticket.credential.issuedAt),
+  (doc) => entries.forEach((entry, index) => {
+    if (index > 0) {
+      doc.addPage();
     }
+    drawTicketPage(doc, entry);
+  }),
+);
 
-    handleSuccess(res, ticket.data());
-  } catch (e) {
-    handleError(res, 500, 'An error occurred while retrieving ticket details.');
+// ** Helper to load what a ticket page needs: the ticket, its event and its holder's name ** //
+const loadTicketEntries = async (ticketDocs) => {
+  const liveDocs = ticketDocs.filter(doc => doc.exists);
+  const eventIds = [...new Set(liveDocs.map(doc => doc.data().eventId))];
+  const userIds = [...new Set(liveDocs.map(doc => doc.data().userId))];
+  const [eventDocs, userDocs] = await Promise.all([
+    eventIds.length > 0 ? db.getAll(...eventIds.map(eventId => db.collection('events').doc(eventId))) : [],
+    userIds.length > 0 ? db.getAll(...userIds.map(userId => db.collection('users').doc(userId))) : [],
+  ]);
+  const events = Object.fromEntries(eventDocs.map(doc => [doc.id, doc.exists ? doc.data() : {}]));
+  const names = Object.fromEntries(userDocs.map(doc => [doc.id, doc.exists ? doc.data().name : null]));
+
+  return liveDocs.map(doc => ({
+    ticket: doc.data(),
+    event: events[doc.data().eventId] || {},
+    holderName: names[doc.data().userId] || doc.data().userId,
+  }));
+};
+
+// ** Helper to draw a receipt for a payment ** //
+// `lines` are `{ description, quantity, unitPrice, amount }`; totals come from `breakdown`.
+const drawReceipt = (doc, { payment, event, buyer, lines, breakdown, refunds }) => {
+  const currency = payment.currency || config.currency;
+  const money = amount => formatMoney(amount, currency);
+  const total = Number(payment.amount);
+  // Only refunds that have been paid out come off the total; pending and failed ones are listed apart
+  const paidOut = refunds.filter(refund => refund.status === 'processed');
+  const outstanding = refunds.filter(refund => refund.status !== 'processed');
+  const refunded = paidOut.reduce((sum, refund) => sum + refund.amount, 0);
+  const tax = roundMoney(total - total / (1 + config.taxPercent / 100));
+
+  doc.font('Helvetica').fontSize(10).fillColor('#666666').text('ticketron', 50, 50);
+  doc.font('Helvetica-Bold').fontSize(22).fillColor('black').text('Receipt', 50, 68);
+
+  drawField(doc, 'Reference', payment.paymentId, 50, 110);
+  drawField(doc, 'Issued', toDate(payment.paidAt || payment.timestamp).toISOString().slice(0, 10), 310, 110);
+  drawField(doc, 'Billed to', [buyer.name, buyer.email].filter(Boolean).join(' - ') || payment.userId, 50, 150);
+  drawField(doc, 'Status', payment.status, 310, 150);
+  drawField(doc, 'Event', [event.title, eventWhenWhere(event).when].filter(Boolean).join(', '), 50, 190, 500);
+
+  let y = 250;
+  const row = (cells, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor('black');
+    doc.text(cells[0], 50, y, { width: 260 });
+    doc.text(cells[1], 310, y, { width: 50, align: 'right' });
+    doc.text(cells[2], 360, y, { width: 90, align: 'right' });
+    doc.text(cells[3], 450, y, { width: 95, align: 'right' });
+    y += 18;
+  };
+  const totalRow = (label, amount, bold = false) => row([label, '', '', amount], bold);
+
+  row(['Item', 'Qty', 'Unit price', 'Amount'], true);
+  doc.moveTo(50, y - 4).lineTo(545, y - 4).strokeColor('#999999').stroke();
+  lines.forEach(line => row([line.description, String(line.quantity), money(line.unitPrice), money(line.amount)]));
+  doc.moveTo(50, y).lineTo(545, y).strokeColor('#999999').stroke();
+  y += 8;
+
+  totalRow('Subtotal', money(breakdown.subtotal));
+  if (breakdown.discount > 0) {
+    totalRow(`Discount${breakdown.promoCode ? ` (${breakdown.promoCode})` : ''}`, `-${money(breakdown.discount)}`);
+  }
+  totalRow('Service fees', money(breakdown.fees));
+  totalRow('Total paid', money(total), true);
+  if (config.taxPercent > 0) {
+    totalRow(`Includes ${config.taxLabel} at ${config.taxPercent}%`, money(tax));
   }
-});
 
-// ** 6. Cancel Ticket ** //
-app.delete('/api/tickets/:ticketId', async (req, res) => {
-  const { ticketId } = req.params;
+  const refundLabel = refund => `${toDate(refund.createdAt).toISOString().slice(0, 10)} - ${refund.quantity || 'all'} admission(s)`;
+  if (paidOut.length > 0) {
+    y += 10;
+    row(['Refunds', '', '', ''], true);
+    paidOut.forEach(refund => totalRow(refundLabel(refund), `-${money(refund.amount)}`));
+    totalRow('Net paid', money(roundMoney(total - refunded)), true);
+  }
+  if (outstanding.length > 0) {
+    y += 10;
+    row(['Refunds not paid out', '', '', ''], true);
+    outstanding.forEach(refund => totalRow(`${refundLabel(refund)}, ${refund.status}`, money(refund.amount)));
+  }
+};
 
-  try {
-    const ticketRef = db.collection('tickets').doc(ticketId);
-    const ticket = await ticketRef.get();
+// ** Helper to gather a payment's line items, buyer, event and refunds and render its receipt ** //
+const renderReceiptPdf = async (payment) => {
+  const [userDoc, eventDoc, refundsSnapshot] = await Promise.all([
+    db.collection('users').doc(payment.userId).get(),
+    db.collection('events').doc(payment.eventId).get(),
+    db.collection('refunds').where('paymentId', '==', payment.paymentId).get(),
+  ]);
+
+  let breakdowns = [];
+  if (payment.orderId) {
+    const orderDoc = await db.collection('orders').doc(payment.orderId).get();
+    breakdowns = orderDoc.exists ? orderDoc.data().items : [];
+  } else if (payment.ticketId) {
+    const ticketDoc = await db.collection('tickets').doc(payment.ticketId).get();
+    breakdowns = ticketDoc.exists && ticketDoc.data().priceBreakdown ? [ticketDoc.data().priceBreakdown] : [];
+  }
 
-    if (!ticket.exists) {
-      return handleError(res, 404, 'Ticket not found.');
+  const amount = Number(payment.amount);
+  const lines = breakdowns.length > 0
+    ? breakdowns.map(item => ({
+      description: `${item.ticketType} ticket`,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      amount: item.subtotal,
+    }))
+    : [{ description: payment.transferId ? 'Resale ticket' : 'Ticket purchase', quantity: 1, unitPrice: amount, amount }];
+  const breakdown = breakdowns.length > 0
+    ? {
+      subtotal: roundMoney(breakdowns.reduce((sum, item) => sum + item.subtotal, 0)),
+      discount: roundMoney(breakdowns.reduce((sum, item) => sum + item.discount, 0)),
+      fees: roundMoney(breakdowns.reduce((sum, item) => sum + item.fees, 0)),
+      promoCode: breakdowns.map(item => item.promoCode).find(Boolean) || null,
     }
+    : { subtotal: amount, discount: 0, fees: 0, promoCode: null };
+
+  const refunds = refundsSnapshot.docs
+    .map(doc => doc.data())
+    .sort((a, b) => toDate(a.createdAt) - toDate(b.createdAt) || a.refundId.localeCompare(b.refundId));
+
+  return renderPdf(`Receipt ${payment.paymentId}`, toDate(payment.timestamp), doc => drawReceipt(doc, {
+    payment,
+    event: eventDoc.exists ? eventDoc.data() : {},
+    buyer: userDoc.exists ? userDoc.data() : {},
+    lines,
+    breakdown,
+    refunds,
+  }));
+};
 
-    await ticketRef.update({ status: 'canceled' });
-    handleSuccess(res, { message: 'Ticket canceled successfully.' });
-  } catch (e) {
-    handleError(res, 500, 'An error occurred while canceling the ticket.');
-  }
-});
+// ** Data exports ** //
+// Exports read Firestore a page at a time and write each page out before reading the next, so a large
+// event never has to fit in memory. Users and payments for a page are fetched in one batched read.
+const EXPORT_FORMATS = ['csv', 'xlsx'];
 
-// ** 7. List Tickets for User ** //
-app.get('/api/users/:userId/tickets', async (req, res) => {
-  const { userId } = req.params;
+// ** Helper to read documents by ID in batches, keyed by ID; missing documents are left out ** //
+const getDocsById = async (collection, ids) => {
+  const uniqueIds = [...new Set(ids.filter(Boolean))];
+  const docs = new Map();
 
-  try {
-    const querySnapshot = await db.collection('tickets').where('userId', '==', userId).get();
+  for (let start = 0; start < uniqueIds.length; start += 100) {
+    const refs = uniqueIds.slice(start, start + 100).map(id => db.collection(collection).doc(id));
+    const snapshots = await db.getAll(...refs);
+    snapshots.filter(doc => doc.exists).forEach(doc => docs.set(doc.id, doc.data()));
+  }
+  return docs;
+};
 
-    if (querySnapshot.empty) {
-      return handleError(res, 404, 'No tickets found for this user.');
+// ** Helper to walk an ordered query one page of documents at a time ** //
+async function* queryPages(query, pageSize = config.exportPageSize) {
+  let lastDoc = null;
+  while (true) {
+    const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).limit(pageSize).get();
+    if (snapshot.empty) {
+      return;
     }
-
-    const tickets = querySnapshot.docs.map(doc => doc.data());
-    handleSuccess(res, tickets);
-  } catch (e) {
-    handleError(res, 500, 'An error occurred while retrieving user tickets.');
+    yield snapshot.docs;
+    if (snapshot.size < pageSize) {
+      return;
+    }
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
   }
-});
+}
 
-// verify tickets by qrcode
-app.post('/api/tickets/verify/qrcode', async (req, res) => {
-  const { qrcode } = req.body;
+// ** Helper to format a Firestore timestamp or date for an export cell ** //
+const exportTime = (value) => (value ? toDate(value).toISOString() : '');
 
-  try {
-    const ticketSnapshot = await db.collection('tickets').where('qrcode', '==', qrcode).get();
+// ** Helper to quote a CSV cell; text that spreadsheets would run as a formula is prefixed with a quote ** //
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
 
-    if (ticketSnapshot.empty) {
-      return handleError(res, 404, 'Ticket not found.');
+// ** Helper to start streaming an export to the response ** //
+// `columns` are `{ header, key }`. Returns `{ writeRows, end }`; rows are objects keyed by column key.
+// Nothing is written until the first rows arrive, so a failure before then can still be answered with JSON;
+// `started()` tells whether the response already belongs to the export.
+const createExportWriter = (res, format, filename, columns) => {
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  const waitForDrain = async () => {
+    if (res.writableNeedDrain) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+    if (res.destroyed) {
+      throw new Error('Client disconnected during export.');
     }
+  };
+
+  if (format === 'xlsx') {
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    let workbook = null;
+    let worksheet = null;
+    const start = () => {
+      if (!workbook) {
+        workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+        worksheet = workbook.addWorksheet(filename.slice(0, 31));
+        worksheet.columns = columns.map(({ header, key }) => ({ header, key }));
+      }
+    };
 
-    const ticket = ticketSnapshot.docs[0].data();
-    handleSuccess(res, ticket);
-  } catch (e) {
-    handleError(res, 500, 'An error occurred while verifying the ticket.');
+    return {
+      started: () => Boolean(workbook),
+      writeRows: async (rows) => {
+        start();
+        rows.forEach(row => worksheet.addRow(row).commit());
+        await waitForDrain();
+      },
+      end: async () => {
+        start();
+        worksheet.commit();
+        await workbook.commit();
+      },
+    };
   }
-});
 
-// verify tickets by barcode
-app.post('/api/tickets/verify/barcode', async (req, res) => {
-  const { barcode } = req.body;
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  let headerWritten = false;
+  const writeRows = async (rows) => {
+    const lines = rows.map(row => columns.map(column => row[column.key]));
+    if (!headerWritten) {
+      lines.unshift(columns.map(column => column.header));
+      headerWritten = true;
+    }
+    res.write(lines.map(line => `${line.map(csvCell).join(',')}\r\n`).join(''));
+    await waitForDrain();
+  };
+
+  return {
+    started: () => headerWritten,
+    writeRows,
+    end: async () => {
+      await writeRows([]);
+      res.end();
+    },
+  };
+};
 
-  try {
-    const ticketSnapshot = await db.collection('tickets').where('barcode', '==', barcode).get();
+// ** Helper to read the export format and date range from a request's query, or an `error` message ** //
+const parseExportQuery = (query) => {
+  const format = (query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}.` };
+  }
 
-    if (ticketSnapshot.empty) {
-      return handleError(res, 404, 'Ticket not found.');
-    }
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return { error: 'from and to must be valid dates.' };
+  }
+  if (from && to && from > to) {
+    return { error: 'from must be before to.' };
+  }
+  return { format, from, to };
+};
 
-    const ticket = ticketSnapshot.docs[0].data();
-    handleSuccess(res, ticket);
-  } catch (e) {
-    handleError(res, 500, 'An error occurred while verifying the ticket.');
+// ** Helper to limit a query to a date range on one of its timestamp fields ** //
+const withinDates = (query, field, from, to) => {
+  let rangedQuery = query;
+  if (from) {
+    rangedQuery = rangedQuery.where(field, '>=', admin.firestore.Timestamp.fromDate(from));
   }
-});
+  if (to) {
+    rangedQuery = rangedQuery.where(field, '<=', admin.firestore.Timestamp.fromDate(to));
+  }
+  return rangedQuery.orderBy(field).orderBy(admin.firestore.FieldPath.documentId());
+};
 
-// update  attendance by userid and eventid
-app.put('/api/attendances/:userId/:eventId', async (req, res) => {
-  // const { userId, eventId } = req.params;
-  const { attendanceStatus, paymentStatus, userId, eventId } = req.body;
+// ** Helper to stream an export, ending the response if something goes wrong after it has started ** //
+// Once rows are on their way, half a CSV or zip can't be turned into an error body, so the connection is cut.
+const streamExport = async (res, format, filename, columns, produce) => {
+  let writer = null;
   try {
-    const attendanceSnapshot = await db.collection('attendances').where('userId', '==', userId).where('eventId', '==', eventId).get();
-    if (attendanceSnapshot.empty) {
+    writer = createExportWriter(res, format, filename, columns);
+    await produce(writer.writeRows);
+    await writer.end();
+  } catch (e) {
+    if (res.headersSent || (writer && writer.started())) {
+      return res.destroy(e);
+    }
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Disposition');
+    handleError(res, 500, 'An error occurred while exporting.');
+  }
+};
+
+const ATTENDEE_EXPORT_COLUMNS = [
+  { header: 'Ticket ID', key: 'ticketId' },
+  { header: 'Order ID', key: 'orderId' },
+  { header: 'User ID', key: 'userId' },
+  { header: 'Name', key: 'name' },
+  { header: 'Email', key: 'email' },
+  { header: 'Ticket type', key: 'ticketType' },
+  { header: 'Seat', key: 'seat' },
+  { header: 'Quantity', key: 'quantity' },
+  { header: 'Ticket status', key: 'ticketStatus' },
+  { header: 'Payment status', key: 'paymentStatus' },
+  { header: 'Checked in', key: 'checkedIn' },
+  { header: 'Entries', key: 'entries' },
+  { header: 'First scan', key: 'firstScanAt' },
+  { header: 'Gate', key: 'firstGate' },
+  { header: 'Purchased at', key: 'createdAt' },
+];
+
+const SALES_EXPORT_COLUMNS = [
+  { header: 'Type', key: 'type' },
+  { header: 'Date', key: 'date' },
+  { header: 'Reference', key: 'reference' },
+  { header: 'Ticket ID', key: 'ticketId' },
+  { header: 'Order ID', key: 'orderId' },
+  { header: 'Payment ID', key: 'paymentId' },
+  { header: 'User ID', key: 'userId' },
+  { header: 'Name', key: 'name' },
+  { header: 'Email', key: 'email' },
+  { header: 'Description', key: 'description' },
+  { header: 'Quantity', key: 'quantity' },
+  { header: 'Amount', key: 'amount' },
+  { header: 'Currency', key: 'currency' },
+  { header: 'Status', key: 'status' },
+];
+
+// ** Helper to describe a ticket's payment status, counting confirmed tickets without a price as free ** //
+const ticketPaymentStatus = (ticket, payment) => {
+  if (payment) {
+    return payment.status;
+  }
+  return ticket.status === 'confirmed' && !ticket.totalPrice ? 'free' : 'unpaid';
+};
+
+// ** Helper to sum the net revenue of tickets that were paid for, after refunds ** //
+const ticketNetRevenue = (tickets) => roundMoney(tickets
+  .filter(ticket => ticket.paymentId)
+  .reduce((sum, ticket) => sum + (ticket.totalPrice || 0) - (ticket.refundedAmount || 0), 0));
+
+// ** Helper to sum gross, refunded and net amounts of payments ** //
+const PAID_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+const summarizePayments = (payments) => {
+  const grossRevenue = roundMoney(payments.reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0));
+  const refundedAmount = roundMoney(payments.reduce((sum, payment) => sum + (payment.refundedAmount || 0), 0));
+  return { grossRevenue, refundedAmount, netRevenue: roundMoney(grossRevenue - refundedAmount) };
+};
+
+// ** Helper to price a purchase from the event's price table ** //
+// The client's own totals are never trusted; fees come from config and are charged after any discount.
+const calculatePrice = (event, ticketType, quantity, promo = null) => {
+  const priceTable = event.price || {};
+
+  if (!Object.prototype.hasOwnProperty.call(priceTable, ticketType)) {
+    throw httpError(400, `Unknown ticket type: ${ticketType}.`);
+  }
+
+  const unitPrice = Number(priceTable[ticketType]);
+  if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+    throw httpError(500, `Event has an invalid price for ${ticketType} tickets.`);
+  }
+
+  const subtotal = roundMoney(unitPrice * quantity);
+
+  let discount = 0;
+  if (promo) {
+    discount = promo.discountType === 'percentage'
+      ? roundMoney(subtotal * Math.min(promo.discountValue, 100) / 100)
+      : roundMoney(Math.min(promo.discountValue, subtotal));
+  }
+
+  const discountedSubtotal = roundMoney(subtotal - discount);
+  const fees = discountedSubtotal > 0
+    ? roundMoney(discountedSubtotal * config.serviceFeePercent / 100 + config.serviceFeeFlat * quantity)
+    : 0;
+
+  return {
+    currency: config.currency,
+    ticketType,
+    unitPrice,
+    quantity,
+    subtotal,
+    promoCode: promo ? promo.code : null,
+    discount,
+    fees,
+    total: roundMoney(discountedSubtotal + fees),
+  };
+};
+
+// ** Helper to split a line item's price breakdown into one breakdown per admission ** //
+// Cents that don't divide evenly go on the first admission so the parts add up to the line total.
+const splitBreakdown = (breakdown) => {
+  const { quantity } = breakdown;
+  const share = (amount, index) => {
+    const each = Math.floor(Math.round(amount * 100) / quantity) / 100;
+    return index === 0 ? roundMoney(amount - each * (quantity - 1)) : each;
+  };
+
+  return Array.from({ length: quantity }, (_, index) => {
+    const subtotal = share(breakdown.subtotal, index);
+    const discount = share(breakdown.discount, index);
+    const fees = share(breakdown.fees, index);
+    return { ...breakdown, quantity: 1, subtotal, discount, fees, total: roundMoney(subtotal - discount + fees) };
+  });
+};
+
+// ** Helper to normalize promo codes so lookups are case-insensitive ** //
+const normalizePromoCode = (code) => String(code).trim().toUpperCase();
+
+// ** Helper to build the promo code document ID, unique per organizer ** //
+// A "/" would make the ID a document path, so codes containing one can't exist.
+const promoCodeDocId = (organizerId, code) => {
+  const normalized = normalizePromoCode(code);
+  if (normalized.includes('/')) {
+    throw httpError(400, 'Promo codes cannot contain "/".');
+  }
+  return `${organizerId}_${normalized}`;
+};
+
+// ** Helper to turn a promo code's `validFrom` or `validUntil` into millis ** //
+// Date-only values are days in the default timezone; with `endOfDay` they last until that day's last moment.
+const promoDateMillis = (value, endOfDay = false) => {
+  const dateOnly = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!dateOnly) {
+    return Date.parse(value);
+  }
+  const [year, month, day] = dateOnly.slice(1).map(Number);
+  return endOfDay
+    ? zonedTimeToUtc(year, month, day + 1, 0, 0, config.defaultTimezone).getTime() - 1
+    : zonedTimeToUtc(year, month, day, 0, 0, config.defaultTimezone).getTime();
+};
+
+// ** Helper to check that a promo code can be used for this purchase ** //
+const checkPromoCode = (promo, { eventId, ticketType, userRedemptions }) => {
+  const now = Date.now();
+
+  if (!promo.active) {
+    throw httpError(400, 'Promo code is not active.');
+  }
+  if (promo.eventId && promo.eventId !== eventId) {
+    throw httpError(400, 'Promo code is not valid for this event.');
+  }
+  if (promo.validFrom && now < promoDateMillis(promo.validFrom)) {
+    throw httpError(400, 'Promo code is not valid yet.');
+  }
+  if (promo.validUntil && now > promoDateMillis(promo.validUntil, true)) {
+    throw httpError(400, 'Promo code has expired.');
+  }
+  if (promo.ticketTypes && promo.ticketTypes.length > 0 && !promo.ticketTypes.includes(ticketType)) {
+    throw httpError(400, `Promo code does not apply to ${ticketType} tickets.`);
+  }
+  if (promo.maxRedemptions && (promo.redemptions || 0) >= promo.maxRedemptions) {
+    throw httpError(409, 'Promo code has reached its usage limit.');
+  }
+  if (promo.maxRedemptionsPerUser && userRedemptions >= promo.maxRedemptionsPerUser) {
+    throw httpError(409, 'You have already used this promo code the maximum number of times.');
+  }
+};
+
+// ** Helper to check and take tickets from an event's inventory inside a transaction ** //
+// `ticketsLeft` is the event-wide count; `ticketsLeftByType` optionally caps each ticket type.
+// `waitlistReserved` tickets are set aside for waitlist offers; `offerQuantity` is what this buyer was offered.
+// `ticketsSold` is kept alongside for sorting listings by popularity.
+// Returns the event as updated, to pass on when reserving several ticket types in one transaction.
+const reserveInventory = (transaction, eventRef, event, ticketType, quantity, offerQuantity = 0) => {
+  if (event.updatingSeatMap) {
+    throw httpError(409, 'Seating for this event is being updated. Please try again shortly.');
+  }
+  const updates = { ticketsSold: (event.ticketsSold || 0) + quantity };
+
+  if (typeof event.ticketsLeft === 'number') {
+    const waitlistReserved = event.waitlistReserved || 0;
+    const available = event.ticketsLeft - Math.max(0, waitlistReserved - offerQuantity);
+
+    if (available <= 0) {
+      throw httpError(409, 'This event is sold out.');
+    }
+    if (available < quantity) {
+      throw httpError(409, `Only ${available} tickets left for this event.`);
+    }
+    updates.ticketsLeft = event.ticketsLeft - quantity;
+    if (offerQuantity > 0) {
+      updates.waitlistReserved = Math.max(0, waitlistReserved - offerQuantity);
+    }
+  }
+
+  const typeLeft = event.ticketsLeftByType && event.ticketsLeftByType[ticketType];
+  if (typeof typeLeft === 'number') {
+    if (typeLeft <= 0) {
+      throw httpError(409, `${ticketType} tickets are sold out.`);
+    }
+    if (typeLeft < quantity) {
+      throw httpError(409, `Only ${typeLeft} ${ticketType} tickets left.`);
+    }
+    updates.ticketsLeftByType = { ...event.ticketsLeftByType, [ticketType]: typeLeft - quantity };
+  }
+
+  transaction.update(eventRef, updates);
+  return { ...event, ...updates };
+};
+
+// ** Helper to put a ticket's quantity back into its event's inventory inside a transaction ** //
+const releaseInventory = (transaction, eventRef, event, ticketType, quantity) => {
+  const updates = { ticketsSold: Math.max(0, (event.ticketsSold || 0) - quantity) };
+
+  if (typeof event.ticketsLeft === 'number') {
+    updates.ticketsLeft = event.ticketsLeft + quantity;
+  }
+
+  const typeLeft = event.ticketsLeftByType && event.ticketsLeftByType[ticketType];
+  if (typeof typeLeft === 'number') {
+    updates.ticketsLeftByType = { ...event.ticketsLeftByType, [ticketType]: typeLeft + quantity };
+  }
+
+  transaction.update(eventRef, updates);
+  return { ...event, ...updates };
+};
+
+// ** Ticket credentials ** //
+// QR codes carry a signed payload: `TKT1.<base64url JSON { t: ticketId, e: eventId, k: keyVersion, n: nonce }>.<HMAC>`.
+// Barcodes are shorter, `<keyVersion>.<ticketId>.<nonce>.<truncated HMAC>`, and the HMAC also covers the event ID,
+// so a barcode can only be checked against the event the gate is scanning for.
+// Reissuing a credential changes the nonce, which invalidates every earlier code for that ticket.
+const CREDENTIAL_PREFIX = 'TKT1';
+
+// ** Helper to look up the secret for a key version, or null ** //
+// Versions come from scanned codes, so only the configured keys' own entries count, never inherited ones.
+const getSigningKey = (keyVersion) => {
+  if (typeof keyVersion !== 'string' || !Object.prototype.hasOwnProperty.call(config.ticketSigningKeys, keyVersion)) {
+    return null;
+  }
+  const key = config.ticketSigningKeys[keyVersion];
+  return typeof key === 'string' && key.length > 0 ? key : null;
+};
+
+const signCredential = (keyVersion, data, encoding = 'base64url') => crypto
+  .createHmac('sha256', getSigningKey(keyVersion))
+  .update(data)
+  .digest(encoding);
+
+const signaturesMatch = (expected, actual) => {
+  const expectedBuffer = Buffer.from(expected);
+  const actualBuffer = Buffer.from(String(actual));
+  return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+};
+
+// ** Helper to issue a new QR code and barcode for a ticket with the current signing key ** //
+const issueTicketCredential = (ticketId, eventId) => {
+  const keyVersion = config.ticketSigningKeyVersion;
+  if (!getSigningKey(keyVersion)) {
+    throw httpError(503, 'Tickets cannot be issued right now because no ticket signing key is configured.');
+  }
+
+  const nonce = crypto.randomBytes(6).toString('hex');
+  const payload = Buffer.from(JSON.stringify({ t: ticketId, e: eventId, k: keyVersion, n: nonce })).toString('base64url');
+  const barcodeBody = `${keyVersion}.${ticketId}.${nonce}`;
+
+  return {
+    qrcode: `${CREDENTIAL_PREFIX}.${payload}.${signCredential(keyVersion, `${CREDENTIAL_PREFIX}.${payload}`)}`,
+    barcode: `${barcodeBody}.${signCredential(keyVersion, `${barcodeBody}.${eventId}`, 'hex').slice(0, 16)}`,
+    credential: {
+      keyVersion,
+      nonce,
+      issuedAt: new Date().toISOString(),
+      revoked: false,
+    },
+  };
+};
+
+// ** Helper to check a QR code or barcode signature without touching Firestore ** //
+const parseTicketCredential = (code, eventId) => {
+  const invalid = httpError(400, 'Invalid ticket credential.');
+  const parts = typeof code === 'string' ? code.split('.') : [];
+
+  if (parts.length === 3 && parts[0] === CREDENTIAL_PREFIX) {
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (e) {
+      throw invalid;
+    }
+
+    if (!claims || !getSigningKey(claims.k)
+      || !signaturesMatch(signCredential(claims.k, `${parts[0]}.${parts[1]}`), parts[2])) {
+      throw invalid;
+    }
+    if (eventId && claims.e !== eventId) {
+      throw httpError(403, 'Ticket is for a different event.');
+    }
+    return { ticketId: claims.t, eventId: claims.e, keyVersion: claims.k, nonce: claims.n };
+  }
+
+  if (parts.length === 4) {
+    if (!eventId) {
+      throw httpError(400, 'Event ID is required to verify a barcode.');
+    }
+
+    const [keyVersion, ticketId, nonce, signature] = parts;
+    if (!getSigningKey(keyVersion)
+      || !signaturesMatch(signCredential(keyVersion, `${keyVersion}.${ticketId}.${nonce}.${eventId}`, 'hex').slice(0, 16), signature)) {
+      throw invalid;
+    }
+    return { ticketId, eventId, keyVersion, nonce };
+  }
+
+  throw invalid;
+};
+
+// ** Helper to check a ticket document against the claims of a verified credential ** //
+const checkTicketCredential = (ticket, claims) => {
+  const { credential } = ticket;
+
+  if (!credential || credential.nonce !== claims.nonce || credential.keyVersion !== claims.keyVersion) {
+    throw httpError(403, 'Ticket credential has been replaced.');
+  }
+  if (credential.revoked) {
+    throw httpError(403, 'Ticket credential has been revoked.');
+  }
+  if (ticket.eventId !== claims.eventId) {
+    throw httpError(403, 'Ticket is for a different event.');
+  }
+  if (['canceled', 'expired'].includes(ticket.status)) {
+    throw httpError(403, `Ticket is ${ticket.status}.`);
+  }
+};
+
+// ** Helper to verify a scanned credential end to end, returning the ticket document ** //
+const verifyTicketCredential = async (code, eventId) => {
+  const claims = parseTicketCredential(code, eventId);
+  const ticketDoc = await db.collection('tickets').doc(claims.ticketId).get();
+
+  if (!ticketDoc.exists) {
+    throw httpError(404, 'Ticket not found.');
+  }
+
+  checkTicketCredential(ticketDoc.data(), claims);
+  return ticketDoc;
+};
+
+// ** Helper to build a seat's document ID, scoped to its event ** //
+const seatDocId = (eventId, seatId) => `${eventId}_${seatId}`;
+
+// ** Helper to turn an organizer's seat map into one document per seat ** //
+// Rows name a default ticket type; individual seats may be given as `{ number, ticketType }` to override it.
+const buildSeatDocs = (eventId, seatMap, priceTable) => {
+  if (!seatMap || !Array.isArray(seatMap.sections) || seatMap.sections.length === 0) {
+    throw httpError(400, 'Seat map must have at least one section.');
+  }
+
+  const seats = [];
+  const seen = new Set();
+
+  seatMap.sections.forEach((sectionEntry) => {
+    const { section, rows } = sectionEntry || {};
+    if (!section || !Array.isArray(rows)) {
+      throw httpError(400, 'Every section needs a name and a list of rows.');
+    }
+
+    rows.forEach((rowEntry) => {
+      const { row, seats: rowSeats, ticketType: rowTicketType } = rowEntry || {};
+      if (!row || !Array.isArray(rowSeats)) {
+        throw httpError(400, `Every row in section ${section} needs a name and a list of seats.`);
+      }
+
+      rowSeats.forEach((entry) => {
+        // A seat is its number, or `{ number, ticketType }`; null is a seat without a number
+        const isObject = typeof entry === 'object' && entry !== null;
+        const number = isObject ? entry.number : entry;
+        const ticketType = (isObject && entry.ticketType) || rowTicketType;
+        const seatId = `${section}-${row}-${number}`;
+
+        if (number === undefined || number === null || number === '') {
+          throw httpError(400, `Row ${row} in section ${section} has a seat without a number.`);
+        }
+        if (seatId.includes('/')) {
+          throw httpError(400, `Seat ${seatId} cannot contain "/".`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(priceTable || {}, ticketType)) {
+          throw httpError(400, `Seat ${seatId} maps to unknown ticket type: ${ticketType}.`);
+        }
+        if (seen.has(seatId)) {
+          throw httpError(400, `Seat ${seatId} appears more than once.`);
+        }
+        seen.add(seatId);
+
+        seats.push({
+          seatId,
+          eventId,
+          section: String(section),
+          row: String(row),
+          number: String(number),
+          ticketType,
+          status: 'available',
+          ticketId: null,
+        });
+      });
+    });
+  });
+
+  return seats;
+};
+
+// ** Helper to lock the requested seats for a ticket inside a transaction ** //
+// Seats are read in the transaction, so two buyers racing for one seat can never both win.
+const lockSeats = async (transaction, eventId, seatIds, ticketType, ticketId) => {
+  if (new Set(seatIds).size !== seatIds.length) {
+    throw httpError(400, 'The same seat was requested more than once.');
+  }
+
+  const seatRefs = seatIds.map(seatId => db.collection('seats').doc(seatDocId(eventId, seatId)));
+  const seatDocs = await transaction.getAll(...seatRefs);
+
+  seatDocs.forEach((seatDoc, index) => {
+    if (!seatDoc.exists) {
+      throw httpError(404, `Seat ${seatIds[index]} does not exist.`);
+    }
+    const seat = seatDoc.data();
+    if (seat.ticketType !== ticketType) {
+      throw httpError(400, `Seat ${seat.seatId} is a ${seat.ticketType} seat.`);
+    }
+    if (seat.status !== 'available') {
+      throw httpError(409, `Seat ${seat.seatId} is already taken.`);
+    }
+  });
+
+  return () => seatRefs.forEach((seatRef) => {
+    transaction.update(seatRef, { status: 'held', ticketId });
+  });
+};
+
+// ** Helper to set the status of every seat on a ticket inside a transaction ** //
+const updateTicketSeats = (transaction, ticket, status, seats = ticket.seats || []) => {
+  seats.forEach((seatId) => {
+    transaction.update(db.collection('seats').doc(seatDocId(ticket.eventId, seatId)), {
+      status,
+      ticketId: status === 'available' ? null : ticket.ticketId,
+    });
+  });
+};
+
+// ** Helper to work out what a paid ticket gets back under its event's refund policy ** //
+// Policies are `{ type: 'full' | 'partial' | 'none', percent, cutoffHours }`: full or `percent` refunds
+// until `cutoffHours` before the event starts, nothing after. Service fees are never refunded.
+const DEFAULT_REFUND_POLICY = { type: 'full', percent: 100, cutoffHours: 24 };
+const calculateRefund = (ticket, event, quantity) => {
+  const policy = { ...DEFAULT_REFUND_POLICY, ...(event.refundPolicy || {}) };
+  const startsAt = eventStartsAt(event);
+  const hoursLeft = startsAt ? (startsAt.getTime() - Date.now()) / (60 * 60 * 1000) : Infinity;
+
+  let percent = 0;
+  if (policy.type !== 'none' && hoursLeft >= (policy.cutoffHours || 0)) {
+    percent = policy.type === 'full' ? 100 : Math.min(Math.max(Number(policy.percent) || 0, 0), 100);
+  }
+
+  const breakdown = ticket.priceBreakdown || {};
+  const refundableTotal = breakdown.subtotal !== undefined
+    ? breakdown.subtotal - (breakdown.discount || 0)
+    : ticket.totalPrice || 0;
+  const perAdmission = refundableTotal / (breakdown.quantity || ticket.quantity || 1);
+
+  return {
+    policy: policy.type,
+    percent,
+    amount: roundMoney(perAdmission * quantity * percent / 100),
+  };
+};
+
+// ** Helper to take tickets out of circulation and return their inventory in one transaction ** //
+// `canRelease` sees the current ticket and either throws, returns false to skip, or returns true.
+// By default the whole ticket is released and moved to `nextStatus`; `options.quantity` (with the matching
+// `options.seats` on reserved-seating events) releases only part of a paid ticket and keeps its status.
+// Paid tickets are refunded under the event's refund policy, with a refund record tied to their payment,
+// unless `options.refund` is false because the money has already gone back (e.g. a reversed charge).
+// Only the payer is refunded: a ticket that changed hands after it was paid for is released without a
+// refund, or not at all when `options.requireRefund` is set.
+// Tickets bought in an order are ticked off on it; the promo redemption goes back with the order's last ticket.
+const releaseTicket = (ticketId, nextStatus, canRelease, options = {}) => db.runTransaction(async (transaction) => {
+  const ticketRef = db.collection('tickets').doc(ticketId);
+  const ticketDoc = await transaction.get(ticketRef);
+
+  if (!ticketDoc.exists) {
+    throw httpError(404, 'Ticket not found.');
+  }
+
+  const ticket = ticketDoc.data();
+  if (!canRelease(ticket)) {
+    return null;
+  }
+
+  const heldQuantity = ticket.quantity || 0;
+  const quantity = options.quantity === undefined ? heldQuantity : options.quantity;
+  if (!Number.isInteger(quantity) || quantity <= 0 || quantity > heldQuantity) {
+    throw httpError(400, `Quantity must be between 1 and ${heldQuantity}.`);
+  }
+
+  const isPartial = quantity < heldQuantity;
+  const ticketSeats = ticket.seats || [];
+  let releasedSeats = ticketSeats;
+  if (isPartial) {
+    if (ticket.status !== 'confirmed') {
+      throw httpError(409, 'Only paid tickets can be partially refunded.');
+    }
+    releasedSeats = ticketSeats.length > 0 ? options.seats || [] : [];
+    if (ticketSeats.length > 0
+      && (releasedSeats.length !== quantity || releasedSeats.some(seatId => !ticketSeats.includes(seatId)))) {
+      throw httpError(400, `Choose exactly ${quantity} of this ticket's seats to give back.`);
+    }
+  }
+
+  const eventRef = db.collection('events').doc(ticket.eventId);
+  const eventDoc = await transaction.get(eventRef);
+  const orderRef = ticket.orderId ? db.collection('orders').doc(ticket.orderId) : null;
+  const orderDoc = orderRef ? await transaction.get(orderRef) : null;
+  const order = orderDoc && orderDoc.exists ? orderDoc.data() : null;
+  const releasedTicketIds = order ? [...new Set([...(order.releasedTicketIds || []), ticketId])] : [];
+  const releasesOrder = order ? order.ticketIds.every(id => releasedTicketIds.includes(id)) : false;
+  // An unpaid order is paid for as a whole, so dropping some of its tickets would leave it unpayable
+  if (options.wholeUnpaidOrders && order && order.status === 'pending' && !releasesOrder) {
+    throw httpError(409, 'Tickets in an unpaid order cannot be canceled one at a time.');
+  }
+
+  let promoCodeId = null;
+  if (!isPartial) {
+    promoCodeId = ticket.orderId ? releasesOrder && order.promoCodeId : ticket.promoCodeId;
+  }
+  const promoRef = promoCodeId ? db.collection('promoCodes').doc(promoCodeId) : null;
+  const promoDoc = promoRef ? await transaction.get(promoRef) : null;
+  const paymentRef = ticket.status === 'confirmed' && ticket.paymentId && options.refund !== false
+    ? db.collection('payments').doc(ticket.paymentId)
+    : null;
+  const paymentDoc = paymentRef ? await transaction.get(paymentRef) : null;
+
+  const isRefundable = paymentDoc && paymentDoc.exists
+    && ticket.refundable !== false && paymentDoc.data().userId === ticket.userId;
+  if (paymentDoc && paymentDoc.exists && !isRefundable && options.requireRefund) {
+    throw httpError(409, 'Ticket changed hands after it was paid for, so it cannot be refunded.');
+  }
+  const refund = isRefundable
+    ? calculateRefund(ticket, eventDoc.exists ? eventDoc.data() : {}, quantity)
+    : null;
+
+  if (eventDoc.exists) {
+    releaseInventory(transaction, eventRef, eventDoc.data(), ticket.ticketType, quantity);
+  }
+  updateTicketSeats(transaction, ticket, 'available', releasedSeats);
+
+  // A released purchase no longer counts against the promo code's usage caps
+  if (promoRef) {
+    if (promoDoc.exists) {
+      transaction.update(promoRef, { redemptions: FieldValue.increment(-1) });
+    }
+    transaction.set(db.collection('promoRedemptions').doc(`${promoCodeId}_${ticket.userId}`), {
+      count: FieldValue.increment(-1),
+    }, { merge: true });
+  }
+
+  let refundId = null;
+  if (refund && refund.amount > 0) {
+    const payment = paymentDoc.data();
+    const refundRef = db.collection('refunds').doc();
+    const refundedAmount = roundMoney((payment.refundedAmount || 0) + refund.amount);
+    refundId = refundRef.id;
+
+    transaction.set(refundRef, {
+      refundId,
+      paymentId: payment.paymentId,
+      ticketId,
+      userId: ticket.userId,
+      eventId: ticket.eventId,
+      quantity,
+      amount: refund.amount,
+      currency: (ticket.priceBreakdown && ticket.priceBreakdown.currency) || config.currency,
+      policy: refund.policy,
+      percent: refund.percent,
+      status: 'pending',
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    transaction.update(paymentRef, {
+      refundedAmount,
+      status: refundedAmount >= Number(payment.amount) ? 'refunded' : 'partially_refunded',
+    });
+  }
+
+  const refundUpdates = {
+    refundedQuantity: (ticket.refundedQuantity || 0) + quantity,
+    refundedAmount: roundMoney((ticket.refundedAmount || 0) + (refund ? refund.amount : 0)),
+  };
+  if (isPartial) {
+    const remainingSeats = ticketSeats.filter(seatId => !releasedSeats.includes(seatId));
+    transaction.update(ticketRef, {
+      ...refundUpdates,
+      quantity: heldQuantity - quantity,
+      ...(ticketSeats.length > 0 && { seats: remainingSeats, seat: remainingSeats.join(', ') }),
+    });
+  } else {
+    transaction.update(ticketRef, {
+      ...(refund && refundUpdates),
+      status: nextStatus,
+      [`${nextStatus}At`]: FieldValue.serverTimestamp(),
+      holdExpiresAt: null,
+    });
+  }
+
+  if (order && !isPartial) {
+    transaction.update(orderRef, {
+      releasedTicketIds,
+      status: releasesOrder ? nextStatus : 'partially_canceled',
+      ...(refund && { refundedAmount: roundMoney((order.refundedAmount || 0) + refund.amount) }),
+    });
+  }
+
+  return {
+    ...ticket,
+    refund: refund ? { refundId, quantity, ...refund } : null,
+  };
+});
+
+// ** Helper to offer released tickets to the waitlist without failing the release itself ** //
+const promoteWaitlistAfterRelease = async (ticket) => {
+  if (ticket) {
+    await promoteWaitlist(ticket.eventId).catch((error) => console.error('Error promoting waitlist:', error));
+  }
+  return ticket;
+};
+
+// ** Helper to check that a ticket can still be canceled ** //
+const canCancelTicket = (ticket) => {
+  if (ticket.status === 'canceled') {
+    throw httpError(409, 'Ticket is already canceled.');
+  }
+  if (ticket.status === 'expired') {
+    throw httpError(409, 'Ticket hold has already expired.');
+  }
+  if (ticket.transferId) {
+    throw httpError(409, 'Ticket has a pending transfer; cancel it first.');
+  }
+  return true;
+};
+
+// ** Helper to leave a ticket's QR code, barcode and credential out of a response ** //
+const withoutCredential = ({ qrcode, barcode, credential, ...ticket }) => ticket;
+
+// ** Helper to cancel a ticket, refunding it if it was paid for ** //
+// With `holderId`, the ticket must still belong to that user when the cancellation is applied.
+const cancelTicket = (ticketId, holderId = null) => releaseTicket(ticketId, 'canceled', (ticket) => {
+  if (holderId && ticket.userId !== holderId) {
+    throw httpError(403, 'Ticket has been transferred to someone else.');
+  }
+  return canCancelTicket(ticket);
+}, { wholeUnpaidOrders: true })
+  .then(promoteWaitlistAfterRelease)
+  .then(sendCancellationEmail);
+
+// ** Helper to give back some admissions of a paid ticket; giving back all of them cancels it ** //
+const refundTicket = (ticketId, quantity, seats) => releaseTicket(ticketId, 'canceled', canCancelTicket, {
+  quantity,
+  seats,
+  requireRefund: true,
+})
+  .then(promoteWaitlistAfterRelease)
+  .then(sendCancellationEmail);
+
+// ** Helper to check whether a pending ticket's checkout hold has run out ** //
+const isHoldExpired = (ticket) => ticket.status === 'pending'
+  && Boolean(ticket.holdExpiresAt)
+  && ticket.holdExpiresAt.toMillis() <= Date.now();
+
+// ** Helper to expire a single checkout hold, skipping tickets that were paid or canceled meanwhile ** //
+const expireTicketHold = (ticketId) => releaseTicket(ticketId, 'expired', isHoldExpired)
+  .then(promoteWaitlistAfterRelease);
+
+// ** Helper to expire every checkout hold that has run out ** //
+const expireCheckoutHolds = async () => {
+  const snapshot = await db.collection('tickets')
+    .where('status', '==', 'pending')
+    .where('holdExpiresAt', '<=', admin.firestore.Timestamp.now())
+    .limit(100)
+    .get();
+
+  let expired = 0;
+  for (const doc of snapshot.docs) {
+    if (await expireTicketHold(doc.id)) {
+      expired += 1;
+    }
+  }
+  return expired;
+};
+
+// ** Helper to confirm a pending ticket against a paid payment inside a transaction ** //
+const confirmTicketPayment = (transaction, ticketDoc, payment) => {
+  if (!ticketDoc.exists) {
+    throw httpError(404, 'Ticket not found.');
+  }
+
+  const ticket = ticketDoc.data();
+  if (ticket.userId !== payment.userId || ticket.eventId !== payment.eventId) {
+    throw httpError(400, 'Payment does not match the ticket.');
+  }
+  if (ticket.status === 'confirmed') {
+    return;
+  }
+  if (ticket.status !== 'pending') {
+    throw httpError(409, `Ticket is ${ticket.status} and can no longer be paid for.`);
+  }
+  if (Number(payment.amount) < (ticket.totalPrice || 0)) {
+    throw httpError(400, 'Payment amount does not cover the ticket price.');
+  }
+
+  updateTicketSeats(transaction, ticket, 'sold');
+  transaction.update(ticketDoc.ref, {
+    status: 'confirmed',
+    paymentId: payment.paymentId,
+    confirmedAt: FieldValue.serverTimestamp(),
+    holdExpiresAt: null,
+  });
+};
+
+// ** Helper to confirm every ticket of a pending order against its paid payment inside a transaction ** //
+const confirmOrderPayment = (transaction, orderDoc, ticketDocs, payment) => {
+  if (!orderDoc.exists) {
+    throw httpError(404, 'Order not found.');
+  }
+
+  const order = orderDoc.data();
+  if (Number(payment.amount) < order.total) {
+    throw httpError(400, 'Payment amount does not cover the order total.');
+  }
+
+  ticketDocs.forEach(ticketDoc => confirmTicketPayment(transaction, ticketDoc, payment));
+  if (order.status === 'pending') {
+    transaction.update(orderDoc.ref, {
+      status: 'confirmed',
+      paymentId: payment.paymentId,
+      confirmedAt: FieldValue.serverTimestamp(),
+    });
+  }
+};
+
+// ** Helper to read an order and its tickets inside a transaction ** //
+const getOrderForPayment = async (transaction, orderId) => {
+  const orderDoc = await transaction.get(db.collection('orders').doc(orderId));
+  const ticketDocs = orderDoc.exists
+    ? await transaction.getAll(...orderDoc.data().ticketIds.map(ticketId => db.collection('tickets').doc(ticketId)))
+    : [];
+  return { orderDoc, ticketDocs };
+};
+
+// ** Helper to explain why a pending transfer can no longer go through, or null if it still can ** //
+const transferProblem = (transferDoc, ticketDoc) => {
+  const transfer = transferDoc && transferDoc.exists ? transferDoc.data() : null;
+  const ticket = ticketDoc && ticketDoc.exists ? ticketDoc.data() : null;
+
+  if (!transfer || transfer.status !== 'pending') {
+    return 'Transfer is no longer pending.';
+  }
+  if (!ticket || ticket.status !== 'confirmed' || ticket.userId !== transfer.fromUserId
+    || ticket.transferId !== transfer.transferId) {
+    return 'Ticket can no longer be transferred.';
+  }
+  return null;
+};
+
+// ** Helper to hand a ticket to its new owner inside a transaction ** //
+// The old QR code and barcode stop working because the ticket gets a fresh credential.
+const completeTransfer = (transaction, transferDoc, ticketDoc, payment = null) => {
+  const problem = transferProblem(transferDoc, ticketDoc);
+  if (problem) {
+    throw httpError(409, problem);
+  }
+
+  const transfer = transferDoc.data();
+  const ticket = ticketDoc.data();
+  const { qrcode, barcode, credential } = issueTicketCredential(ticket.ticketId, ticket.eventId);
+  const ownerHistory = ticket.ownerHistory || [{ userId: transfer.fromUserId, type: 'purchase', at: null }];
+
+  // The original payment stays the original buyer's, so the new holder can't be refunded against it
+  transaction.update(ticketDoc.ref, {
+    userId: transfer.toUserId,
+    transferId: null,
+    refundable: false,
+    qrcode,
+    barcode,
+    credential,
+    ownerHistory: [...ownerHistory, {
+      userId: transfer.toUserId,
+      fromUserId: transfer.fromUserId,
+      type: transfer.price > 0 ? 'resale' : 'transfer',
+      transferId: transfer.transferId,
+      price: transfer.price,
+      at: new Date().toISOString(),
+    }],
+  });
+  transaction.update(transferDoc.ref, {
+    status: 'accepted',
+    paymentId: payment ? payment.paymentId : null,
+    respondedAt: FieldValue.serverTimestamp(),
+  });
+};
+
+// ** Payment provider adapters ** //
+// Each adapter checks a webhook's signature against the raw body and turns the provider's payload into
+// `{ id, type: 'success' | 'failed' | 'reversed' | 'refunded', reference, amount, currency }`; unknown events
+// have no type. `reversed` is a chargeback; `refunded` confirms that one of our own refunds was paid out.
+// Our payment IDs are the references handed to the provider at checkout.
+const PAYSTACK_EVENT_TYPES = {
+  'charge.success': 'success',
+  'charge.failed': 'failed',
+  'charge.dispute.create': 'reversed',
+  'refund.processed': 'refunded',
+};
+
+const PAYMENT_PROVIDERS = {
+  // Paystack signs with HMAC-SHA512 of the secret key and sends amounts in the minor unit
+  paystack: {
+    enabled: () => Boolean(config.paystackSecretKey),
+    verifySignature: (req) => {
+      const expected = crypto.createHmac('sha512', config.paystackSecretKey).update(req.rawBody).digest('hex');
+      return signaturesMatch(expected, req.headers['x-paystack-signature'] || '');
+    },
+    parseEvent: ({ event, data = {} }) => ({
+      id: `${event}_${data.id || data.reference}`,
+      type: PAYSTACK_EVENT_TYPES[event],
+      reference: data.reference || data.transaction_reference || (data.transaction && data.transaction.reference),
+      amount: Number(data.amount) / 100,
+      currency: data.currency,
+    }),
+  },
+  // The fake provider signs with HMAC-SHA256 of the fake secret and sends amounts as we store them
+  fake: {
+    enabled: () => Boolean(config.fakePaymentSecret) && process.env.NODE_ENV !== 'production',
+    sign: (payload) => crypto.createHmac('sha256', config.fakePaymentSecret).update(payload).digest('hex'),
+    verifySignature: (req) => signaturesMatch(PAYMENT_PROVIDERS.fake.sign(req.rawBody), req.headers['x-fake-signature'] || ''),
+    parseEvent: ({ id, type, reference, amount, currency }) => ({
+      id,
+      type: ['success', 'failed', 'reversed', 'refunded'].includes(type) ? type : undefined,
+      reference,
+      amount: Number(amount),
+      currency,
+    }),
+  },
+};
+
+// ** Helper to look up an enabled payment provider by name, or null ** //
+// Names come from URLs, so only the adapters' own keys count, never inherited ones like `constructor`.
+const getPaymentProvider = (name) => {
+  if (!Object.prototype.hasOwnProperty.call(PAYMENT_PROVIDERS, name)) {
+    return null;
+  }
+  return PAYMENT_PROVIDERS[name].enabled() ? PAYMENT_PROVIDERS[name] : null;
+};
+
+// ** Helper to apply a verified provider event to its payment and ticket ** //
+// Events are recorded in `paymentEvents` so provider retries are acknowledged without being applied twice.
+// Returns the IDs of confirmed tickets whose charge was reversed, to be taken back outside the transaction.
+const applyPaymentEvent = (provider, event) => db.runTransaction(async (transaction) => {
+  const eventRef = db.collection('paymentEvents').doc(`${provider}_${event.id}`);
+  const paymentRef = db.collection('payments').doc(event.reference);
+  const eventDoc = await transaction.get(eventRef);
+  const paymentDoc = await transaction.get(paymentRef);
+
+  if (eventDoc.exists) {
+    return { duplicate: true };
+  }
+  if (!paymentDoc.exists || paymentDoc.data().provider !== provider) {
+    throw httpError(404, 'Unknown payment reference');
+  }
+
+  const payment = paymentDoc.data();
+  const ticketDoc = payment.ticketId ? await transaction.get(db.collection('tickets').doc(payment.ticketId)) : null;
+  const ticket = ticketDoc && ticketDoc.exists ? ticketDoc.data() : null;
+
+  // Resale payments buy a pending transfer rather than a held ticket
+  const transferDoc = payment.transferId
+    ? await transaction.get(db.collection('ticketTransfers').doc(payment.transferId))
+    : null;
+  const transferTicketDoc = transferDoc && transferDoc.exists
+    ? await transaction.get(db.collection('tickets').doc(transferDoc.data().ticketId))
+    : null;
+
+  // Order payments cover every ticket in the order at once
+  const { orderDoc, ticketDocs: orderTicketDocs } = payment.orderId
+    ? await getOrderForPayment(transaction, payment.orderId)
+    : { orderDoc: null, ticketDocs: [] };
+  const orderLapsed = orderDoc && (!orderDoc.exists
+    || orderTicketDocs.some(doc => !doc.exists || !['pending', 'confirmed'].includes(doc.data().status)));
+
+  // A paid-out refund settles one of the payment's pending refunds, preferring one for the same amount
+  const pendingRefundsSnapshot = event.type === 'refunded'
+    ? await transaction.get(db.collection('refunds')
+      .where('paymentId', '==', payment.paymentId)
+      .where('status', '==', 'pending'))
+    : null;
+
+  const updates = { providerStatus: event.type, updatedAt: FieldValue.serverTimestamp() };
+  let reversedTicketIds = [];
+
+  if (event.type === 'success' && ['pending', 'failed'].includes(payment.status)) {
+    if (event.amount < Number(payment.amount) || (event.currency && event.currency !== payment.currency)) {
+      updates.status = 'failed';
+      updates.failureReason = 'Charged amount does not match the payment.';
+    } else if ((ticket && !['pending', 'confirmed'].includes(ticket.status)) || orderLapsed
+      || (transferDoc && transferProblem(transferDoc, transferTicketDoc))) {
+      // The hold ran out or the transfer fell through before the charge came through, so the whole amount goes back
+      const refundRef = db.collection('refunds').doc();
+      transaction.set(refundRef, {
+        refundId: refundRef.id,
+        paymentId: payment.paymentId,
+        ticketId: payment.ticketId || null,
+        userId: payment.userId,
+        eventId: payment.eventId,
+        quantity: 0,
+        amount: Number(payment.amount),
+        currency: payment.currency,
+        policy: 'unfulfilled',
+        percent: 100,
+        status: 'pending',
+        createdAt: FieldValue.serverTimestamp(),
+      });
+      updates.status = 'refunded';
+      updates.refundedAmount = Number(payment.amount);
+      updates.paidAt = FieldValue.serverTimestamp();
+    } else {
+      if (ticket) {
+        confirmTicketPayment(transaction, ticketDoc, payment);
+      }
+      if (transferDoc) {
+        completeTransfer(transaction, transferDoc, transferTicketDoc, payment);
+      }
+      if (orderDoc) {
+        confirmOrderPayment(transaction, orderDoc, orderTicketDocs, payment);
+      }
+      updates.status = 'paid';
+      updates.paidAt = FieldValue.serverTimestamp();
+    }
+  } else if (event.type === 'failed' && payment.status === 'pending') {
+    updates.status = 'failed';
+  } else if (event.type === 'reversed' && PAID_PAYMENT_STATUSES.includes(payment.status)) {
+    updates.status = 'reversed';
+    if (ticket && ticket.status === 'confirmed') {
+      reversedTicketIds = [payment.ticketId];
+    }
+    reversedTicketIds = reversedTicketIds.concat(orderTicketDocs
+      .filter(doc => doc.exists && doc.data().status === 'confirmed')
+      .map(doc => doc.id));
+  } else if (event.type === 'refunded' && !pendingRefundsSnapshot.empty) {
+    const refundDoc = pendingRefundsSnapshot.docs.find(doc => Number(doc.data().amount) === event.amount)
+      || pendingRefundsSnapshot.docs[0];
+    transaction.update(refundDoc.ref, {
+      status: 'processed',
+      processedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  }
+
+  transaction.update(paymentRef, updates);
+  transaction.set(eventRef, {
+    provider,
+    reference: event.reference,
+    type: event.type,
+    receivedAt: FieldValue.serverTimestamp(),
+  });
+
+  return {
+    duplicate: false,
+    status: updates.status || payment.status,
+    paid: updates.status === 'paid',
+    reversedTicketIds,
+  };
+});
+
+// ** 1. Get Event Revenue ** //
+app.get('/api/events/:eventId/revenue', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const ticketsSnapshot = await db.collection('tickets').where('eventId', '==', eventId).get();
+
+    if (ticketsSnapshot.empty) {
+      return handleError(res, 404, 'No tickets found for this event.');
+    }
+
+    const tickets = ticketsSnapshot.docs.map(doc => doc.data());
+    const totalRevenue = ticketNetRevenue(tickets);
+    const refundedAmount = roundMoney(tickets.reduce((sum, ticket) => sum + (ticket.refundedAmount || 0), 0));
+
+    handleSuccess(res, { totalRevenue, grossRevenue: roundMoney(totalRevenue + refundedAmount), refundedAmount });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while retrieving event revenue.');
+  }
+});
+
+// ** 2. Get Event Statistics ** //
+app.get('/api/events/:eventId/statistics', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const ticketsSnapshot = await db.collection('tickets').where('eventId', '==', eventId).get();
+
+    if (ticketsSnapshot.empty) {
+      return handleSuccess(res, {
+        totalTickets: 0,
+        totalRevenue: 0,
+        grossRevenue: 0,
+        refundedAmount: 0,
+        soldTickets: 0,
+        pendingTickets: 0,
+        canceledTickets: 0,
+        expiredTickets: 0,
+        waitlistSize: await countWaitlist(eventId, 'waiting'),
+        waitlistOffers: await countWaitlist(eventId, 'offered'),
+      });
+    }
+
+    const paymentSnapshot = await db.collection('payments')
+      .where('eventId', '==', eventId)
+      .where('status', 'in', PAID_PAYMENT_STATUSES)
+      .get();
+    const { grossRevenue, refundedAmount, netRevenue: totalRevenue } = summarizePayments(paymentSnapshot.docs.map(doc => doc.data()));
+
+    const totalTickets = ticketsSnapshot.size;
+    const soldTickets = ticketsSnapshot.docs.filter(doc => doc.data().status === 'confirmed').length;
+    const pendingTickets = ticketsSnapshot.docs.filter(doc => doc.data().status === 'pending').length;
+    const canceledTickets = ticketsSnapshot.docs.filter(doc => doc.data().status === 'canceled').length;
+    const expiredTickets = ticketsSnapshot.docs.filter(doc => doc.data().status === 'expired').length;
+    const waitlistSize = await countWaitlist(eventId, 'waiting');
+    const waitlistOffers = await countWaitlist(eventId, 'offered');
+
+    handleSuccess(res, {
+      totalTickets,
+      totalRevenue,
+      grossRevenue,
+      refundedAmount,
+      soldTickets,
+      pendingTickets,
+      canceledTickets,
+      expiredTickets,
+      waitlistSize,
+      waitlistOffers,
+    });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while retrieving event statistics.');
+  }
+});
+
+// ** Export an Event's Attendee List ** //
+// `?format=csv|xlsx` (CSV by default). One row per ticket, with its holder, check-in and payment status.
+app.get('/api/events/:eventId/exports/attendees', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
+  const { format, error } = parseExportQuery(req.query);
+
+  if (error) {
+    return handleError(res, 400, error);
+  }
+
+  const ticketQuery = db.collection('tickets')
+    .where('eventId', '==', eventId)
+    .orderBy(admin.firestore.FieldPath.documentId());
+
+  await streamExport(res, format, `attendees-${eventId}`, ATTENDEE_EXPORT_COLUMNS, async (writeRows) => {
+    for await (const docs of queryPages(ticketQuery)) {
+      const tickets = docs.map(doc => doc.data());
+      const [users, payments] = await Promise.all([
+        getDocsById('users', tickets.map(ticket => ticket.userId)),
+        getDocsById('payments', tickets.map(ticket => ticket.paymentId)),
+      ]);
+
+      await writeRows(tickets.map((ticket) => {
+        const user = users.get(ticket.userId) || {};
+        const checkIn = ticket.checkIn || { entries: 0 };
+        return {
+          ticketId: ticket.ticketId,
+          orderId: ticket.orderId || '',
+          userId: ticket.userId,
+          name: user.name || '',
+          email: user.email || '',
+          ticketType: ticket.ticketType,
+          seat: ticket.seat || '',
+          quantity: ticket.quantity || 1,
+          ticketStatus: ticket.status,
+          paymentStatus: ticketPaymentStatus(ticket, payments.get(ticket.paymentId)),
+          checkedIn: checkIn.entries > 0 ? 'yes' : 'no',
+          entries: checkIn.entries,
+          firstScanAt: exportTime(checkIn.firstScanAt),
+          firstGate: checkIn.firstGate || '',
+          createdAt: exportTime(ticket.createdAt),
+        };
+      }));
+    }
+  });
+});
+
+// ** Export an Event's Sales Ledger ** //
+// `?format=csv|xlsx&from=&to=` with ISO dates, both optional and inclusive. Tickets, then payments, then
+// refunds, each in date order; refunds are negative amounts.
+app.get('/api/events/:eventId/exports/sales', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
+  const { format, from, to, error } = parseExportQuery(req.query);
+
+  if (error) {
+    return handleError(res, 400, error);
+  }
+
+  const byEvent = collection => db.collection(collection).where('eventId', '==', eventId);
+  const sections = [
+    {
+      query: withinDates(byEvent('tickets'), 'createdAt', from, to),
+      toRow: (ticket) => ({
+        type: 'ticket',
+        date: exportTime(ticket.createdAt),
+        reference: ticket.ticketId,
+        ticketId: ticket.ticketId,
+        orderId: ticket.orderId,
+        paymentId: ticket.paymentId,
+        userId: ticket.userId,
+        description: `${ticket.ticketType} ticket${ticket.promoCode ? ` (${ticket.promoCode})` : ''}`,
+        quantity: ticket.quantity || 1,
+        amount: ticket.totalPrice || 0,
+        currency: (ticket.priceBreakdown && ticket.priceBreakdown.currency) || config.currency,
+        status: ticket.status,
+      }),
+    },
+    {
+      query: withinDates(byEvent('payments'), 'timestamp', from, to),
+      toRow: (payment) => ({
+        type: 'payment',
+        date: exportTime(payment.paidAt || payment.timestamp),
+        reference: payment.paymentId,
+        ticketId: payment.ticketId,
+        orderId: payment.orderId,
+        paymentId: payment.paymentId,
+        userId: payment.userId,
+        description: [payment.paymentType, payment.provider].filter(Boolean).join(' via '),
+        amount: Number(payment.amount),
+        currency: payment.currency || config.currency,
+        status: payment.status,
+      }),
+    },
+    {
+      query: withinDates(byEvent('refunds'), 'createdAt', from, to),
+      toRow: (refund) => ({
+        type: 'refund',
+        date: exportTime(refund.createdAt),
+        reference: refund.refundId,
+        ticketId: refund.ticketId,
+        paymentId: refund.paymentId,
+        userId: refund.userId,
+        description: `${refund.policy || 'manual'} refund at ${refund.percent}%`,
+        quantity: refund.quantity,
+        amount: -refund.amount,
+        currency: refund.currency || config.currency,
+        status: refund.status,
+      }),
+    },
+  ];
+
+  await streamExport(res, format, `sales-${eventId}`, SALES_EXPORT_COLUMNS, async (writeRows) => {
+    for (const { query, toRow } of sections) {
+      for await (const docs of queryPages(query)) {
+        const rows = docs.map(doc => toRow(doc.data()));
+        const users = await getDocsById('users', rows.map(row => row.userId));
+
+        await writeRows(rows.map(row => ({
+          ...row,
+          name: (users.get(row.userId) || {}).name || '',
+          email: (users.get(row.userId) || {}).email || '',
+        })));
+      }
+    }
+  });
+});
+
+// ** Set Event Seat Map ** //
+app.put('/api/events/:eventId/seatMap', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const eventRef = db.collection('events').doc(eventId);
+
+    // A seat map can only be replaced while nobody holds a seat on it. Flagging the event in the same
+    // transaction stops sales until the new seats are written, since buying reads the event too.
+    const seatDocs = await db.runTransaction(async (transaction) => {
+      const event = await transaction.get(eventRef);
+      if (!event.exists) {
+        throw httpError(404, 'Event not found.');
+      }
+
+      const taken = await transaction.get(db.collection('seats')
+        .where('eventId', '==', eventId)
+        .where('status', 'in', ['held', 'sold'])
+        .limit(1));
+      if (!taken.empty) {
+        throw httpError(409, 'Seats have already been sold for this event.');
+      }
+
+      const newSeats = buildSeatDocs(eventId, req.body, event.data().price);
+      transaction.update(eventRef, { updatingSeatMap: true });
+      return newSeats;
+    });
+
+    const existingSeats = await db.collection('seats').where('eventId', '==', eventId).get();
+    const writes = [
+      ...existingSeats.docs.map(doc => batch => batch.delete(doc.ref)),
+      ...seatDocs.map(seat => batch => batch.set(db.collection('seats').doc(seatDocId(eventId, seat.seatId)), seat)),
+    ];
+
+    // Firestore batches are capped at 500 writes. If a batch fails the event stays flagged, so nothing
+    // is sold from a half-written map until the organizer saves it again.
+    for (let i = 0; i < writes.length; i += 500) {
+      const batch = db.batch();
+      writes.slice(i, i + 500).forEach(write => write(batch));
+      await batch.commit();
+    }
+    await eventRef.update({ seatMap: req.body, hasSeatMap: true, updatingSeatMap: false });
+
+    handleSuccess(res, { message: 'Seat map saved successfully.', totalSeats: seatDocs.length });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while saving the seat map.');
+  }
+});
+
+// ** Get Event Seat Availability ** //
+app.get('/api/events/:eventId/seats', async (req, res) => {
+  const { eventId } = req.params;
+  const { ticketType } = req.query;
+
+  try {
+    let seatQuery = db.collection('seats').where('eventId', '==', eventId);
+    if (ticketType) {
+      seatQuery = seatQuery.where('ticketType', '==', ticketType);
+    }
+
+    const snapshot = await seatQuery.get();
+    const seats = snapshot.docs.map((doc) => {
+      const { seatId, section, row, number, ticketType: seatTicketType, status } = doc.data();
+      return { seatId, section, row, number, ticketType: seatTicketType, available: status === 'available' };
+    });
+
+    handleSuccess(res, {
+      totalSeats: seats.length,
+      availableSeats: seats.filter(seat => seat.available).length,
+      seats,
+    });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while retrieving seat availability.');
+  }
+});
+
+// ** 3. Update Ticket Status ** //
+app.put('/api/tickets/:ticketId/status', authenticate(), requireRole('admin'), async (req, res) => {
+  const { ticketId } = req.params;
+  const { status } = req.body;
+
+  try {
+    if (!['confirmed', 'canceled', 'pending'].includes(status)) {
+      return handleError(res, 400, 'Invalid status.');
+    }
+
+    if (status === 'canceled') {
+      await cancelTicket(ticketId);
+      return handleSuccess(res, { message: 'Ticket status updated successfully.' });
+    }
+
+    const ticketRef = db.collection('tickets').doc(ticketId);
+    const ticket = await ticketRef.get();
+
+    if (!ticket.exists) {
+      return handleError(res, 404, 'Ticket not found.');
+    }
+
+    // Canceled and expired tickets have already given their seats back
+    if (['canceled', 'expired'].includes(ticket.data().status)) {
+      return handleError(res, 409, 'Canceled or expired tickets cannot be reactivated.');
+    }
+
+    await ticketRef.update({ status });
+    handleSuccess(res, { message: 'Ticket status updated successfully.' });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while updating ticket status.');
+  }
+});
+
+// ** 4. Buy a Ticket ** //
+app.post('/api/tickets/buy', authenticate(), requireSelf('userId', 'body'), async (req, res) => {
+  const {
+    eventId,
+    userId,
+    seat,
+    seats = [],
+    ticketType,
+    quantity,
+    promoCode,
+  } = req.body;
+
+  try {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return handleError(res, 400, 'Invalid quantity.');
+    }
+
+    if (!Array.isArray(seats)) {
+      return handleError(res, 400, 'Seats must be a list of seat IDs.');
+    }
+
+    const userDoc = db.collection('users').doc(userId);
+    const user = await userDoc.get();
+
+    if (!user.exists) {
+      return handleError(res, 404, 'User not found.');
+    }
+
+    const ticketRef = db.collection('tickets').doc();
+    const ticketId = ticketRef.id;
+    const { qrcode, barcode, credential } = issueTicketCredential(ticketId, eventId);
+    const holdExpiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + config.checkoutHoldMinutes * 60 * 1000);
+
+    // Capacity check, inventory decrement and ticket write succeed or fail together
+    // Offered tickets this purchase leaves unused go back to the waitlist once it is done
+    let unusedOffer = 0;
+    const priceBreakdown = await db.runTransaction(async (transaction) => {
+      const eventRef = db.collection('events').doc(eventId);
+      const event = await transaction.get(eventRef);
+
+      if (!event.exists) {
+        throw httpError(404, 'Event not found.');
+      }
+
+      // Promo reads happen before any write so the usage caps are checked atomically
+      let promo = null;
+      let promoRef = null;
+      let redemptionRef = null;
+      if (promoCode) {
+        const organizerId = event.data().organizer && event.data().organizer.organizerId;
+        promoRef = db.collection('promoCodes').doc(promoCodeDocId(organizerId, promoCode));
+        redemptionRef = db.collection('promoRedemptions').doc(`${promoRef.id}_${userId}`);
+
+        const [promoDoc, redemptionDoc] = await Promise.all([
+          transaction.get(promoRef),
+          transaction.get(redemptionRef),
+        ]);
+
+        if (!promoDoc.exists) {
+          throw httpError(404, 'Promo code not found.');
+        }
+
+        promo = promoDoc.data();
+        checkPromoCode(promo, {
+          eventId,
+          ticketType,
+          userRedemptions: redemptionDoc.exists ? redemptionDoc.data().count || 0 : 0,
+        });
+      }
+
+      // Buyers holding a live waitlist offer may use the tickets set aside for them
+      const waitlistRef = db.collection('waitlists').doc(waitlistDocId(eventId, userId));
+      const waitlistDoc = await transaction.get(waitlistRef);
+      const offerQuantity = waitlistDoc.exists && isOfferActive(waitlistDoc.data())
+        ? waitlistDoc.data().offerQuantity
+        : 0;
+
+      // Reserved-seating events sell specific seats, one per ticket in the quantity
+      let holdSeats = null;
+      if (event.data().hasSeatMap) {
+        if (seats.length !== quantity) {
+          throw httpError(400, `Choose exactly ${quantity} seat(s) for this event.`);
+        }
+        holdSeats = await lockSeats(transaction, eventId, seats, ticketType, ticketId);
+      } else if (seats.length > 0) {
+        throw httpError(400, 'This event does not have reserved seating.');
+      }
+
+      const breakdown = calculatePrice(event.data(), ticketType, quantity, promo);
+      reserveInventory(transaction, eventRef, event.data(), ticketType, quantity, offerQuantity);
+      unusedOffer = Math.max(0, offerQuantity - quantity);
+
+      if (holdSeats) {
+        holdSeats();
+      }
+
+      if (offerQuantity > 0) {
+        transaction.update(waitlistRef, { status: 'purchased', ticketId, offerExpiresAt: null });
+      }
+
+      if (promo) {
+        transaction.update(promoRef, { redemptions: FieldValue.increment(1) });
+        transaction.set(redemptionRef, {
+          promoCodeId: promoRef.id,
+          userId,
+          count: FieldValue.increment(1),
+        }, { merge: true });
+      }
+
+      transaction.set(ticketRef, {
+        ticketId,
+        eventId,
+        userId,
+        seat: holdSeats ? seats.join(', ') : seat,
+        seats: holdSeats ? seats : [],
+        ticketType,
+        quantity,
+        totalPrice: breakdown.total,
+        priceBreakdown: breakdown,
+        promoCode: promo ? promo.code : null,
+        promoCodeId: promo ? promoRef.id : null,
+        status: 'pending',
+        holdExpiresAt,
+        createdAt: FieldValue.serverTimestamp(),
+        barcode,
+        qrcode,
+        credential,
+        ownerHistory: [{ userId, type: 'purchase', at: new Date().toISOString() }],
+      });
+
+      return breakdown;
+    });
+
+    if (unusedOffer > 0) {
+      await promoteWaitlist(eventId).catch((error) => console.error('Error promoting waitlist:', error));
+    }
+
+    handleSuccess(res, {
+      message: 'Ticket purchased successfully.',
+      ticketId,
+      qrcode,
+      barcode,
+      priceBreakdown,
+      holdExpiresAt: holdExpiresAt.toDate().toISOString(),
+    });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while buying the ticket.');
+  }
+});
+
+// ** Place an Order ** //
+// `items` is a list of `{ ticketType, quantity, seats }` lines. Every admission becomes its own ticket with
+// its own credential, held until the order is paid. A promo code is redeemed once for the whole order:
+// percentage discounts apply to every line it covers, fixed discounts to the first such line.
+app.post('/api/orders', authenticate(), requireSelf('userId', 'body'), async (req, res) => {
+  const { eventId, userId, items, promoCode } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return handleError(res, 400, 'An order needs at least one line item.');
+  }
+  if (items.some(item => !item || typeof item.ticketType !== 'string'
+    || !Number.isInteger(item.quantity) || item.quantity <= 0
+    || (item.seats !== undefined && !Array.isArray(item.seats)))) {
+    return handleError(res, 400, 'Each line item needs a ticketType, a positive quantity and optional seat IDs.');
+  }
+
+  const admissionCount = items.reduce((sum, item) => sum + item.quantity, 0);
+  if (admissionCount > config.maxTicketsPerOrder) {
+    return handleError(res, 400, `An order can have at most ${config.maxTicketsPerOrder} tickets.`);
+  }
+
+  try {
+    const user = await db.collection('users').doc(userId).get();
+
+    if (!user.exists) {
+      return handleError(res, 404, 'User not found.');
+    }
+
+    const orderRef = db.collection('orders').doc();
+    const orderId = orderRef.id;
+    const holdExpiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + config.checkoutHoldMinutes * 60 * 1000);
+    const lines = items.map(item => ({
+      ...item,
+      seats: item.seats || [],
+      ticketIds: Array.from({ length: item.quantity }, () => db.collection('tickets').doc().id),
+    }));
+
+    // Offered tickets this order leaves unused go back to the waitlist once it is placed
+    let unusedOffer = 0;
+    const order = await db.runTransaction(async (transaction) => {
+      const eventRef = db.collection('events').doc(eventId);
+      const event = await transaction.get(eventRef);
+
+      if (!event.exists) {
+        throw httpError(404, 'Event not found.');
+      }
+
+      let promo = null;
+      let promoRef = null;
+      let redemptionRef = null;
+      const promoCovers = ticketType => !promo.ticketTypes || promo.ticketTypes.length === 0
+        || promo.ticketTypes.includes(ticketType);
+      if (promoCode) {
+        const organizerId = event.data().organizer && event.data().organizer.organizerId;
+        promoRef = db.collection('promoCodes').doc(promoCodeDocId(organizerId, promoCode));
+        redemptionRef = db.collection('promoRedemptions').doc(`${promoRef.id}_${userId}`);
+
+        const [promoDoc, redemptionDoc] = await Promise.all([
+          transaction.get(promoRef),
+          transaction.get(redemptionRef),
+        ]);
+
+        if (!promoDoc.exists) {
+          throw httpError(404, 'Promo code not found.');
+        }
+
+        promo = promoDoc.data();
+        checkPromoCode(promo, {
+          eventId,
+          ticketType: (lines.find(line => promoCovers(line.ticketType)) || lines[0]).ticketType,
+          userRedemptions: redemptionDoc.exists ? redemptionDoc.data().count || 0 : 0,
+        });
+      }
+
+      const waitlistRef = db.collection('waitlists').doc(waitlistDocId(eventId, userId));
+      const waitlistDoc = await transaction.get(waitlistRef);
+      const offerQuantity = waitlistDoc.exists && isOfferActive(waitlistDoc.data())
+        ? waitlistDoc.data().offerQuantity
+        : 0;
+
+      const seatIds = lines.flatMap(line => line.seats);
+      if (new Set(seatIds).size !== seatIds.length) {
+        throw httpError(400, 'The same seat was requested more than once.');
+      }
+
+      // Each reserved seat is locked for the ticket of the admission it belongs to
+      const seatLocks = [];
+      for (const line of lines) {
+        if (event.data().hasSeatMap) {
+          if (line.seats.length !== line.quantity) {
+            throw httpError(400, `Choose exactly ${line.quantity} ${line.ticketType} seat(s) for this event.`);
+          }
+          for (const [index, seatId] of line.seats.entries()) {
+            seatLocks.push(await lockSeats(transaction, eventId, [seatId], line.ticketType, line.ticketIds[index]));
+          }
+        } else if (line.seats.length > 0) {
+          throw httpError(400, 'This event does not have reserved seating.');
+        }
+      }
+
+      let fixedDiscountUsed = false;
+      const breakdowns = lines.map((line) => {
+        let linePromo = null;
+        if (promo && promoCovers(line.ticketType) && (promo.discountType === 'percentage' || !fixedDiscountUsed)) {
+          linePromo = promo;
+          fixedDiscountUsed = true;
+        }
+        return calculatePrice(event.data(), line.ticketType, line.quantity, linePromo);
+      });
+
+      let eventData = event.data();
+      lines.forEach((line, index) => {
+        eventData = reserveInventory(transaction, eventRef, eventData, line.ticketType, line.quantity,
+          index === 0 ? offerQuantity : 0);
+      });
+      seatLocks.forEach(holdSeats => holdSeats());
+      unusedOffer = Math.max(0, offerQuantity - lines.reduce((sum, line) => sum + line.quantity, 0));
+
+      const ticketIds = lines.flatMap(line => line.ticketIds);
+      if (offerQuantity > 0) {
+        transaction.update(waitlistRef, { status: 'purchased', ticketId: ticketIds[0], orderId, offerExpiresAt: null });
+      }
+
+      if (promo) {
+        transaction.update(promoRef, { redemptions: FieldValue.increment(1) });
+        transaction.set(redemptionRef, {
+          promoCodeId: promoRef.id,
+          userId,
+          count: FieldValue.increment(1),
+        }, { merge: true });
+      }
+
+      const tickets = [];
+      lines.forEach((line, lineIndex) => {
+        splitBreakdown(breakdowns[lineIndex]).forEach((breakdown, index) => {
+          const ticketId = line.ticketIds[index];
+          const seat = line.seats[index] || null;
+          const { qrcode, barcode, credential } = issueTicketCredential(ticketId, eventId);
+
+          transaction.set(db.collection('tickets').doc(ticketId), {
+            ticketId,
+            orderId,
+            eventId,
+            userId,
+            seat,
+            seats: seat ? [seat] : [],
+            ticketType: line.ticketType,
+            quantity: 1,
+            totalPrice: breakdown.total,
+            priceBreakdown: breakdown,
+            promoCode: promo ? promo.code : null,
+            promoCodeId: promo ? promoRef.id : null,
+            status: 'pending',
+            holdExpiresAt,
+            createdAt: FieldValue.serverTimestamp(),
+            barcode,
+            qrcode,
+            credential,
+            ownerHistory: [{ userId, type: 'purchase', at: new Date().toISOString() }],
+          });
+          tickets.push({ ticketId, ticketType: line.ticketType, seat, qrcode, barcode });
+        });
+      });
+
+      const newOrder = {
+        orderId,
+        eventId,
+        userId,
+        items: lines.map((line, index) => ({ ...breakdowns[index], seats: line.seats, ticketIds: line.ticketIds })),
+        ticketIds,
+        currency: config.currency,
+        subtotal: roundMoney(breakdowns.reduce((sum, breakdown) => sum + breakdown.subtotal, 0)),
+        discount: roundMoney(breakdowns.reduce((sum, breakdown) => sum + breakdown.discount, 0)),
+        fees: roundMoney(breakdowns.reduce((sum, breakdown) => sum + breakdown.fees, 0)),
+        total: roundMoney(breakdowns.reduce((sum, breakdown) => sum + breakdown.total, 0)),
+        promoCode: promo ? promo.code : null,
+        promoCodeId: promo ? promoRef.id : null,
+        status: 'pending',
+        paymentId: null,
+        releasedTicketIds: [],
+        holdExpiresAt,
+      };
+      transaction.set(orderRef, { ...newOrder, createdAt: FieldValue.serverTimestamp() });
+
+      return { ...newOrder, tickets };
+    });
+
+    if (unusedOffer > 0) {
+      await promoteWaitlist(eventId).catch((error) => console.error('Error promoting waitlist:', error));
+    }
+
+    res.status(201);
+    handleSuccess(res, {
+      message: 'Order placed successfully.',
+      ...order,
+      holdExpiresAt: holdExpiresAt.toDate().toISOString(),
+    });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while placing the order.');
+  }
+});
+
+// ** Get a User's Orders ** //
+app.get('/api/users/:userId/orders', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const ordersSnapshot = await db.collection('orders')
+      .where('userId', '==', userId)
+      .orderBy('createdAt', 'desc')
+      .get();
+
+    handleSuccess(res, ordersSnapshot.docs.map(doc => doc.data()));
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while fetching orders.');
+  }
+});
+
+// ** Get Order Details ** //
+// Includes each ticket's current status and the state of the order's payment.
+app.get('/api/orders/:orderId', authenticate(), requireOrderOwner, async (req, res) => {
+  const { orderId } = req.params;
+
+  try {
+    const order = await db.collection('orders').doc(orderId).get();
+
+    if (!order.exists) {
+      return handleError(res, 404, 'Order not found.');
+    }
+
+    const { ticketIds, paymentId } = order.data();
+    const [ticketDocs, paymentDoc] = await Promise.all([
+      db.getAll(...ticketIds.map(ticketId => db.collection('tickets').doc(ticketId))),
+      paymentId ? db.collection('payments').doc(paymentId).get() : null,
+    ]);
+    const payment = paymentDoc && paymentDoc.exists ? paymentDoc.data() : null;
+
+    handleSuccess(res, {
+      ...order.data(),
+      // Tickets passed on to someone else keep their status here, but not their new holder's credential
+      tickets: ticketDocs.filter(doc => doc.exists).map(doc => (doc.data().userId === order.data().userId
+        ? doc.data()
+        : withoutCredential(doc.data()))),
+      payment: {
+        status: payment ? payment.status : 'unpaid',
+        amount: payment ? Number(payment.amount) : 0,
+        refundedAmount: payment ? payment.refundedAmount || 0 : 0,
+      },
+    });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while retrieving the order.');
+  }
+});
+
+// ** Start Paying for an Order ** //
+app.post('/api/orders/:orderId/payment', authenticate(), requireOrderOwner, async (req, res) => {
+  const { orderId } = req.params;
+  const provider = config.paymentProvider;
+
+  if (!getPaymentProvider(provider)) {
+    return handleError(res, 503, 'Payments are not available right now.');
+  }
+
+  try {
+    const order = await db.collection('orders').doc(orderId).get();
+
+    if (!order.exists) {
+      return handleError(res, 404, 'Order not found.');
+    }
+
+    const { status, userId, eventId, total, currency } = order.data();
+    if (status !== 'pending') {
+      return handleError(res, 409, `Order is ${status} and can no longer be paid for.`);
+    }
+
+    const paymentRef = db.collection('payments').doc();
+    const payment = {
+      paymentId: paymentRef.id,
+      userId,
+      eventId,
+      ticketId: null,
+      orderId,
+      amount: total,
+      currency,
+      status: 'pending',
+      paymentType: 'provider',
+      provider,
+    };
+    await paymentRef.set({ ...payment, timestamp: FieldValue.serverTimestamp() });
+
+    res.status(201);
+    handleSuccess(res, { ...payment, reference: paymentRef.id });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while starting the payment.');
+  }
+});
+
+// ** Cancel One Ticket in an Order ** //
+app.delete('/api/orders/:orderId/tickets/:ticketId', authenticate(), requireOrderOwner, async (req, res) => {
+  const { orderId, ticketId } = req.params;
+
+  try {
+    const order = await db.collection('orders').doc(orderId).get();
+
+    if (!order.exists) {
+      return handleError(res, 404, 'Order not found.');
+    }
+    if (!order.data().ticketIds.includes(ticketId)) {
+      return handleError(res, 404, 'Ticket is not part of this order.');
+    }
+
+    const ticket = await cancelTicket(ticketId, order.data().userId);
+    handleSuccess(res, { message: 'Ticket canceled successfully.', refund: ticket.refund });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while canceling the ticket.');
+  }
+});
+
+// ** 5. Get Ticket Details ** //
+app.get('/api/tickets/:ticketId', authenticate(), requireTicketAccess({ allowOrganizer: true }), async (req, res) => {
+  const { ticketId } = req.params;
+
+  try {
+    const ticketRef = db.collection('tickets').doc(ticketId);
+    const ticket = await ticketRef.get();
+
+    if (!ticket.exists) {
+      return handleError(res, 404, 'Ticket not found.');
+    }
+
+    handleSuccess(res, ticket.data());
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while retrieving ticket details.');
+  }
+});
+
+// ** Download a Printable Ticket ** //
+app.get('/api/tickets/:ticketId/pdf', authenticate(), requireTicketAccess({ allowOrganizer: true }), async (req, res) => {
+  const { ticketId } = req.params;
+
+  try {
+    const ticket = await db.collection('tickets').doc(ticketId).get();
+
+    if (!ticket.exists) {
+      return handleError(res, 404, 'Ticket not found.');
+    }
+
+    const pdf = await renderTicketsPdf(await loadTicketEntries([ticket]));
+    sendPdf(res, `ticket-${ticketId}.pdf`, pdf);
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while rendering the ticket.');
+  }
+});
+
+// ** Download Every Ticket in an Order ** //
+app.get('/api/orders/:orderId/tickets/pdf', authenticate(), requireOrderOwner, async (req, res) => {
+  const { orderId } = req.params;
+
+  try {
+    const order = await db.collection('orders').doc(orderId).get();
+
+    if (!order.exists) {
+      return handleError(res, 404, 'Order not found.');
+    }
+
+    // Tickets passed on to someone else carry their new holder's credential, so they are left out
+    const ticketDocs = await db.getAll(...order.data().ticketIds.map(ticketId => db.collection('tickets').doc(ticketId)));
+    const heldDocs = ticketDocs.filter(doc => doc.exists && doc.data().userId === order.data().userId);
+    const entries = await loadTicketEntries(heldDocs);
+    if (entries.length === 0) {
+      return handleError(res, 404, 'Order has no tickets you still hold.');
+    }
+
+    sendPdf(res, `order-${orderId}-tickets.pdf`, await renderTicketsPdf(entries));
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while rendering the tickets.');
+  }
+});
+
+// ** Download an Order Receipt ** //
+app.get('/api/orders/:orderId/receipt', authenticate(), requireOrderOwner, async (req, res) => {
+  const { orderId } = req.params;
+
+  try {
+    const order = await db.collection('orders').doc(orderId).get();
+
+    if (!order.exists) {
+      return handleError(res, 404, 'Order not found.');
+    }
+
+    const paymentDoc = order.data().paymentId
+      ? await db.collection('payments').doc(order.data().paymentId).get()
+      : null;
+    if (!paymentDoc || !paymentDoc.exists) {
+      return handleError(res, 409, 'Order has not been paid for yet.');
+    }
+
+    sendPdf(res, `receipt-${paymentDoc.id}.pdf`, await renderReceiptPdf(paymentDoc.data()));
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while rendering the receipt.');
+  }
+});
+
+// ** Get Checkout Hold Status ** //
+app.get('/api/tickets/:ticketId/hold', authenticate(), requireTicketAccess(), async (req, res) => {
+  const { ticketId } = req.params;
+
+  try {
+    const ticketRef = db.collection('tickets').doc(ticketId);
+    let ticket = await ticketRef.get();
+
+    if (!ticket.exists) {
+      return handleError(res, 404, 'Ticket not found.');
+    }
+
+    // Don't wait for the sweeper to report a hold that has already run out
+    if (isHoldExpired(ticket.data())) {
+      await expireTicketHold(ticketId);
+      ticket = await ticketRef.get();
+    }
+
+    const { status, holdExpiresAt } = ticket.data();
+    const secondsRemaining = status === 'pending' && holdExpiresAt
+      ? Math.max(0, Math.floor((holdExpiresAt.toMillis() - Date.now()) / 1000))
+      : 0;
+
+    handleSuccess(res, {
+      ticketId,
+      status,
+      holdExpiresAt: holdExpiresAt ? holdExpiresAt.toDate().toISOString() : null,
+      secondsRemaining,
+    });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while retrieving the checkout hold.');
+  }
+});
+
+// ** 6. Cancel Ticket ** //
+app.delete('/api/tickets/:ticketId', authenticate(), requireTicketAccess({ allowOrganizer: true }), async (req, res) => {
+  const { ticketId } = req.params;
+
+  try {
+    const ticket = await cancelTicket(ticketId);
+    handleSuccess(res, { message: 'Ticket canceled successfully.', refund: ticket.refund });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while canceling the ticket.');
+  }
+});
+
+// ** Get Refund Quote ** //
+app.get('/api/tickets/:ticketId/refundQuote', authenticate(), requireTicketAccess(), async (req, res) => {
+  const { ticketId } = req.params;
+
+  try {
+    const ticket = await db.collection('tickets').doc(ticketId).get();
+
+    if (!ticket.exists) {
+      return handleError(res, 404, 'Ticket not found.');
+    }
+
+    const { quantity: heldQuantity, status, paymentId, eventId, refundable } = ticket.data();
+    const quantity = req.query.quantity === undefined ? heldQuantity : Number(req.query.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0 || quantity > heldQuantity) {
+      return handleError(res, 400, `Quantity must be between 1 and ${heldQuantity}.`);
+    }
+
+    if (status !== 'confirmed' || !paymentId || refundable === false) {
+      return handleSuccess(res, { ticketId, quantity, policy: null, percent: 0, amount: 0 });
+    }
+
+    const event = await db.collection('events').doc(eventId).get();
+    handleSuccess(res, { ticketId, quantity, ...calculateRefund(ticket.data(), event.exists ? event.data() : {}, quantity) });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while calculating the refund.');
+  }
+});
+
+// ** Start Paying for a Held Ticket ** //
+// Creates a pending payment whose ID is the reference the client hands to the payment provider;
+// the provider's webhook confirms the ticket once the charge succeeds.
+app.post('/api/tickets/:ticketId/payment', authenticate(), requireTicketAccess(), async (req, res) => {
+  const { ticketId } = req.params;
+  const provider = config.paymentProvider;
+
+  if (!getPaymentProvider(provider)) {
+    return handleError(res, 503, 'Payments are not available right now.');
+  }
+
+  try {
+    const ticket = await db.collection('tickets').doc(ticketId).get();
+
+    if (!ticket.exists) {
+      return handleError(res, 404, 'Ticket not found.');
+    }
+
+    const { status, userId, eventId, totalPrice, priceBreakdown, orderId } = ticket.data();
+    if (orderId) {
+      return handleError(res, 409, 'This ticket is paid for through its order.');
+    }
+    if (status !== 'pending') {
+      return handleError(res, 409, `Ticket is ${status} and can no longer be paid for.`);
+    }
+
+    const paymentRef = db.collection('payments').doc();
+    const payment = {
+      paymentId: paymentRef.id,
+      userId,
+      eventId,
+      ticketId,
+      amount: totalPrice,
+      currency: (priceBreakdown && priceBreakdown.currency) || config.currency,
+      status: 'pending',
+      paymentType: 'provider',
+      provider,
+    };
+    await paymentRef.set({ ...payment, timestamp: FieldValue.serverTimestamp() });
+
+    res.status(201);
+    handleSuccess(res, { ...payment, reference: paymentRef.id });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while starting the payment.');
+  }
+});
+
+// ** Refund Part of a Ticket ** //
+app.post('/api/tickets/:ticketId/refund', authenticate(), requireTicketAccess({ allowOrganizer: true }), async (req, res) => {
+  const { ticketId } = req.params;
+  const { quantity, seats } = req.body;
+
+  try {
+    const ticket = await refundTicket(ticketId, quantity, seats);
+    handleSuccess(res, { message: 'Ticket refunded successfully.', refund: ticket.refund });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while refunding the ticket.');
+  }
+});
+
+// ** 7. List Tickets for User ** //
+app.get('/api/users/:userId/tickets', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const querySnapshot = await db.collection('tickets').where('userId', '==', userId).get();
+
+    if (querySnapshot.empty) {
+      return handleError(res, 404, 'No tickets found for this user.');
+    }
+
+    const tickets = querySnapshot.docs.map(doc => doc.data());
+    handleSuccess(res, tickets);
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while retrieving user tickets.');
+  }
+});
+
+// ** Create or Replace a User's Calendar Feed ** //
+// Calendar apps can't send an Authorization header, so the feed URL carries a secret token instead.
+// Only the token's hash is stored; creating a new feed revokes the previous URL.
+app.post('/api/users/:userId/calendarFeed', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const userRef = db.collection('users').doc(userId);
+    const userDoc = await userRef.get();
+    const token = crypto.randomBytes(24).toString('base64url');
+    const feedId = crypto.createHash('sha256').update(token).digest('hex');
+
+    const batch = db.batch();
+    if (userDoc.exists && userDoc.data().calendarFeedId) {
+      batch.delete(db.collection('calendarFeeds').doc(userDoc.data().calendarFeedId));
+    }
+    batch.set(db.collection('calendarFeeds').doc(feedId), { userId, createdAt: FieldValue.serverTimestamp() });
+    batch.set(userRef, { calendarFeedId: feedId }, { merge: true });
+    await batch.commit();
+
+    res.status(201);
+    handleSuccess(res, { url: `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics` });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while creating the calendar feed.');
+  }
+});
+
+// ** Revoke a User's Calendar Feed ** //
+app.delete('/api/users/:userId/calendarFeed', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const userRef = db.collection('users').doc(userId);
+    const userDoc = await userRef.get();
+
+    if (!userDoc.exists || !userDoc.data().calendarFeedId) {
+      return handleError(res, 404, 'No calendar feed found.');
+    }
+
+    const batch = db.batch();
+    batch.delete(db.collection('calendarFeeds').doc(userDoc.data().calendarFeedId));
+    batch.update(userRef, { calendarFeedId: null });
+    await batch.commit();
+
+    handleSuccess(res, { message: 'Calendar feed revoked successfully.' });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while revoking the calendar feed.');
+  }
+});
+
+// ** Get a User's Calendar Feed ** //
+// Lists the events the user holds confirmed tickets for; canceled tickets and deleted events drop out.
+app.get('/api/calendar/:token', async (req, res) => {
+  const token = req.params.token.replace(/\.ics$/, '');
+
+  try {
+    const feedDoc = await db.collection('calendarFeeds')
+      .doc(crypto.createHash('sha256').update(token).digest('hex'))
+      .get();
+
+    if (!feedDoc.exists) {
+      return handleError(res, 404, 'Calendar feed not found.');
+    }
+
+    const ticketsSnapshot = await db.collection('tickets')
+      .where('userId', '==', feedDoc.data().userId)
+      .where('status', '==', 'confirmed')
+      .get();
+    const eventIds = [...new Set(ticketsSnapshot.docs.map(doc => doc.data().eventId))];
+    const eventDocs = eventIds.length > 0
+      ? await db.getAll(...eventIds.map(eventId => db.collection('events').doc(eventId)))
+      : [];
+    // Events deleted since the tickets were bought stay in the feed as cancelled, so subscribed
+    // calendars update instead of silently dropping them
+    const missingIds = eventDocs.filter(doc => !doc.exists).map(doc => doc.id);
+    const deletedDocs = missingIds.length > 0
+      ? await db.getAll(...missingIds.map(eventId => db.collection('deletedEvents').doc(eventId)))
+      : [];
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.status(200).send(buildICalendar(
+      [...eventDocs, ...deletedDocs].filter(doc => doc.exists).map(doc => ({ id: doc.id, event: doc.data() })),
+      'My ticketron events',
+    ));
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while building the calendar feed.');
+  }
+});
+
+// verify tickets by qrcode
+app.post('/api/tickets/verify/qrcode', authenticate(), requireEventOwner('eventId', 'scanner'), async (req, res) => {
+  const { qrcode, eventId } = req.body;
+
+  try {
+    const ticketDoc = await verifyTicketCredential(qrcode, eventId);
+    handleSuccess(res, ticketDoc.data());
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while verifying the ticket.');
+  }
+});
+
+// verify tickets by barcode
+app.post('/api/tickets/verify/barcode', authenticate(), requireEventOwner('eventId', 'scanner'), async (req, res) => {
+  const { barcode, eventId } = req.body;
+
+  try {
+    const ticketDoc = await verifyTicketCredential(barcode, eventId);
+    handleSuccess(res, ticketDoc.data());
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while verifying the ticket.');
+  }
+});
+
+// reissue a ticket's QR code and barcode, invalidating the old ones
+app.post('/api/tickets/:ticketId/credentials', authenticate(), requireTicketAccess({ allowOrganizer: true }), async (req, res) => {
+  const { ticketId } = req.params;
+
+  try {
+    const ticketRef = db.collection('tickets').doc(ticketId);
+    const ticket = await ticketRef.get();
+
+    if (!ticket.exists) {
+      return handleError(res, 404, 'Ticket not found.');
+    }
+    if (['canceled', 'expired'].includes(ticket.data().status)) {
+      return handleError(res, 409, `Ticket is ${ticket.data().status}.`);
+    }
+
+    const { qrcode, barcode, credential } = issueTicketCredential(ticketId, ticket.data().eventId);
+    await ticketRef.update({ qrcode, barcode, credential });
+    handleSuccess(res, { message: 'Ticket credential reissued successfully.', qrcode, barcode });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while reissuing the ticket credential.');
+  }
+});
+
+// revoke a ticket's QR code and barcode
+app.post('/api/tickets/:ticketId/credentials/revoke', authenticate(), requireTicketAccess({ allowOrganizer: true }), async (req, res) => {
+  const { ticketId } = req.params;
+
+  try {
+    const ticketRef = db.collection('tickets').doc(ticketId);
+    const ticket = await ticketRef.get();
+
+    if (!ticket.exists) {
+      return handleError(res, 404, 'Ticket not found.');
+    }
+
+    await ticketRef.update({ 'credential.revoked': true });
+    handleSuccess(res, { message: 'Ticket credential revoked successfully.' });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while revoking the ticket credential.');
+  }
+});
+
+// ** Start a Ticket Transfer ** //
+// The holder offers a paid ticket to another user by `toUserId` or `toEmail`, for free or, when the
+// organizer allows resale, for a `price` up to `resale.maxPricePercent` of what the holder paid.
+app.post('/api/tickets/:ticketId/transfers', authenticate(), requireTicketAccess(), async (req, res) => {
+  const { ticketId } = req.params;
+  const { toUserId, toEmail, price = 0 } = req.body;
+
+  if (!toUserId && !toEmail) {
+    return handleError(res, 400, 'A recipient userId or email is required.');
+  }
+  if (typeof price !== 'number' || price < 0) {
+    return handleError(res, 400, 'Price must be a number of at least 0.');
+  }
+
+  try {
+    let recipient;
+    if (toUserId) {
+      recipient = await db.collection('users').doc(toUserId).get();
+    } else {
+      const usersSnapshot = await db.collection('users').where('email', '==', String(toEmail).trim()).limit(1).get();
+      recipient = usersSnapshot.docs[0];
+    }
+    if (!recipient || !recipient.exists) {
+      return handleError(res, 404, 'Recipient not found.');
+    }
+
+    const transferRef = db.collection('ticketTransfers').doc();
+    const transfer = await db.runTransaction(async (transaction) => {
+      const ticketRef = db.collection('tickets').doc(ticketId);
+      const ticketDoc = await transaction.get(ticketRef);
+
+      if (!ticketDoc.exists) {
+        throw httpError(404, 'Ticket not found.');
+      }
+
+      const ticket = ticketDoc.data();
+      const eventDoc = await transaction.get(db.collection('events').doc(ticket.eventId));
+      const resale = (eventDoc.exists && eventDoc.data().resale) || {};
+
+      if (ticket.status !== 'confirmed') {
+        throw httpError(409, 'Only paid tickets can be transferred.');
+      }
+      if (ticket.transferId) {
+        throw httpError(409, 'Ticket already has a pending transfer.');
+      }
+      if (ticket.checkIn && ticket.checkIn.entries > 0) {
+        throw httpError(409, 'Ticket has already been used.');
+      }
+      if (recipient.id === ticket.userId) {
+        throw httpError(400, 'You already hold this ticket.');
+      }
+      if (price > 0 && !resale.allowed) {
+        throw httpError(403, 'The organizer does not allow resale for this event.');
+      }
+
+      const maxPrice = roundMoney((ticket.totalPrice || 0) * (resale.maxPricePercent || 100) / 100);
+      if (price > maxPrice) {
+        throw httpError(400, `Resale price cannot be more than ${maxPrice}.`);
+      }
+
+      const newTransfer = {
+        transferId: transferRef.id,
+        ticketId,
+        eventId: ticket.eventId,
+        fromUserId: ticket.userId,
+        toUserId: recipient.id,
+        price: roundMoney(price),
+        currency: (ticket.priceBreakdown && ticket.priceBreakdown.currency) || config.currency,
+        status: 'pending',
+      };
+      transaction.set(transferRef, { ...newTransfer, createdAt: FieldValue.serverTimestamp() });
+      transaction.update(ticketRef, { transferId: transferRef.id });
+      return newTransfer;
+    });
+
+    await createNotification({
+      userId: transfer.toUserId,
+      eventId: transfer.eventId,
+      type: 'ticket_transfer',
+      title: 'You have been sent a ticket',
+      message: transfer.price > 0
+        ? `A ticket is waiting for you for ${transfer.price} ${transfer.currency}.`
+        : 'A ticket is waiting for you to accept it.',
+    }).catch((error) => console.error('Error notifying transfer recipient:', error));
+
+    res.status(201);
+    handleSuccess(res, transfer);
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while starting the transfer.');
+  }
+});
+
+// ** Get a User's Pending Transfers ** //
+app.get('/api/users/:userId/transfers', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const [incoming, outgoing] = await Promise.all([
+      db.collection('ticketTransfers').where('toUserId', '==', userId).where('status', '==', 'pending').get(),
+      db.collection('ticketTransfers').where('fromUserId', '==', userId).where('status', '==', 'pending').get(),
+    ]);
+
+    handleSuccess(res, {
+      incoming: incoming.docs.map(doc => doc.data()),
+      outgoing: outgoing.docs.map(doc => doc.data()),
+    });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while fetching transfers.');
+  }
+});
+
+// ** Accept a Ticket Transfer ** //
+// Free transfers change hands straight away. Resales start a provider payment from the recipient instead,
+// and the ticket changes hands when the payment webhook reports the charge.
+app.post('/api/transfers/:transferId/accept', authenticate(), async (req, res) => {
+  const { transferId } = req.params;
+
+  try {
+    const transferRef = db.collection('ticketTransfers').doc(transferId);
+    const transferDoc = await transferRef.get();
+
+    if (!transferDoc.exists) {
+      return handleError(res, 404, 'Transfer not found.');
+    }
+
+    const transfer = transferDoc.data();
+    if (transfer.toUserId !== req.user.uid) {
+      return handleError(res, 403, 'Only the recipient can accept this transfer.');
+    }
+    if (transfer.status !== 'pending') {
+      return handleError(res, 409, 'Transfer is no longer pending.');
+    }
+
+    if (transfer.price > 0) {
+      const provider = config.paymentProvider;
+      if (!getPaymentProvider(provider)) {
+        return handleError(res, 503, 'Payments are not available right now.');
+      }
+
+      const paymentRef = db.collection('payments').doc();
+      const payment = {
+        paymentId: paymentRef.id,
+        userId: transfer.toUserId,
+        eventId: transfer.eventId,
+        ticketId: null,
+        transferId,
+        amount: transfer.price,
+        currency: transfer.currency,
+        status: 'pending',
+        paymentType: 'resale',
+        provider,
+      };
+      await paymentRef.set({ ...payment, timestamp: FieldValue.serverTimestamp() });
+
+      res.status(202);
+      return handleSuccess(res, { message: 'Pay to complete the transfer.', ...payment, reference: paymentRef.id });
+    }
+
+    await db.runTransaction(async (transaction) => {
+      const currentTransferDoc = await transaction.get(transferRef);
+      const ticketDoc = await transaction.get(db.collection('tickets').doc(transfer.ticketId));
+      completeTransfer(transaction, currentTransferDoc, ticketDoc);
+    });
+
+    handleSuccess(res, { message: 'Ticket transferred successfully.', ticketId: transfer.ticketId });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while accepting the transfer.');
+  }
+});
+
+// ** Decline or Cancel a Ticket Transfer ** //
+// The recipient declines, or the sender (or an admin) cancels; either way the ticket stays where it was.
+app.post('/api/transfers/:transferId/:action(decline|cancel)', authenticate(), async (req, res) => {
+  const { transferId, action } = req.params;
+
+  try {
+    await db.runTransaction(async (transaction) => {
+      const transferRef = db.collection('ticketTransfers').doc(transferId);
+      const transferDoc = await transaction.get(transferRef);
+
+      if (!transferDoc.exists) {
+        throw httpError(404, 'Transfer not found.');
+      }
+
+      const transfer = transferDoc.data();
+      const allowedUserId = action === 'decline' ? transfer.toUserId : transfer.fromUserId;
+      if (req.user.uid !== allowedUserId && !isAdmin(req)) {
+        throw httpError(403, `Only the ${action === 'decline' ? 'recipient' : 'sender'} can ${action} this transfer.`);
+      }
+      if (transfer.status !== 'pending') {
+        throw httpError(409, 'Transfer is no longer pending.');
+      }
+
+      const ticketRef = db.collection('tickets').doc(transfer.ticketId);
+      const ticketDoc = await transaction.get(ticketRef);
+
+      transaction.update(transferRef, {
+        status: action === 'decline' ? 'declined' : 'canceled',
+        respondedAt: FieldValue.serverTimestamp(),
+      });
+      if (ticketDoc.exists && ticketDoc.data().transferId === transferId) {
+        transaction.update(ticketRef, { transferId: null });
+      }
+    });
+
+    handleSuccess(res, { message: `Transfer ${action === 'decline' ? 'declined' : 'canceled'} successfully.` });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, `An error occurred while trying to ${action} the transfer.`);
+  }
+});
+
+// ** Get a Ticket's Owner History ** //
+app.get('/api/tickets/:ticketId/history', authenticate(), requireTicketAccess({ allowOrganizer: true }), async (req, res) => {
+  const { ticketId } = req.params;
+
+  try {
+    const ticket = await db.collection('tickets').doc(ticketId).get();
+
+    if (!ticket.exists) {
+      return handleError(res, 404, 'Ticket not found.');
+    }
+
+    handleSuccess(res, { ticketId, ownerHistory: ticket.data().ownerHistory || [] });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while fetching the ticket history.');
+  }
+});
+
+// reissue every live ticket of an event that was signed with an older key
+app.post('/api/events/:eventId/credentials/rotate', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const ticketsSnapshot = await db.collection('tickets')
+      .where('eventId', '==', eventId)
+      .where('status', 'in', ['pending', 'confirmed'])
+      .get();
+
+    const staleTickets = ticketsSnapshot.docs.filter((doc) => {
+      const { credential } = doc.data();
+      return !credential || (!credential.revoked && credential.keyVersion !== config.ticketSigningKeyVersion);
+    });
+
+    // Firestore batches are capped at 500 writes
+    for (let i = 0; i < staleTickets.length; i += 500) {
+      const batch = db.batch();
+      staleTickets.slice(i, i + 500).forEach((doc) => {
+        batch.update(doc.ref, issueTicketCredential(doc.id, eventId));
+      });
+      await batch.commit();
+    }
+
+    handleSuccess(res, {
+      message: 'Ticket credentials rotated successfully.',
+      keyVersion: config.ticketSigningKeyVersion,
+      reissuedTickets: staleTickets.length,
+    });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while rotating ticket credentials.');
+  }
+});
+
+// CHECK-IN ROUTES
+
+// ** Helper to load the Ed25519 key that signs offline scanner manifests ** //
+const manifestSigningKey = () => {
+  if (!config.manifestSigningKey) {
+    throw new Error('No manifest signing key is configured.');
+  }
+  return crypto.createPrivateKey(config.manifestSigningKey.replace(/\\n/g, "\n"));
+};
+
+// ** Helper to sign a manifest (over its JSON text) so scanners can tell it came from us and was not edited ** //
+const signManifest = (manifest) => crypto
+  .sign(null, Buffer.from(JSON.stringify(manifest)), manifestSigningKey())
+  .toString('base64');
+
+// ** Helper to write one entry to the scan log ** //
+const logScan = async (scan) => {
+  const scanRef = db.collection('scans').doc();
+  await scanRef.set({
+    scanId: scanRef.id,
+    ticketId: null,
+    gate: null,
+    deviceId: null,
+    reason: null,
+    source: 'online',
+    ...scan,
+    scannedAt: admin.firestore.Timestamp.fromDate(scan.scannedAt),
+    loggedAt: FieldValue.serverTimestamp(),
+  });
+};
+
+// ** Helper to work out how many entries a ticket allows under the event's re-entry rules ** //
+// Every admission on a ticket gets one entry, or up to `reentry.maxEntries` (unlimited if unset) when re-entry is allowed.
+const allowedEntries = (ticket, event) => {
+  const admissions = ticket.quantity || 1;
+  const reentry = event.reentry || {};
+  if (!reentry.allowed) {
+    return admissions;
+  }
+  return reentry.maxEntries ? admissions * reentry.maxEntries : Infinity;
+};
+
+// ** Helper to admit a ticket at the gate, marking it used and updating its attendance ** //
+// Rejections are thrown as HTTP errors; every attempt, admitted or not, goes to the scan log.
+const checkInTicket = async ({ code, eventId, gate = null, deviceId = null, scannedAt = new Date(), source = 'online' }) => {
+  let ticketId = null;
+
+  try {
+    const claims = parseTicketCredential(code, eventId);
+    ticketId = claims.ticketId;
+
+    const result = await db.runTransaction(async (transaction) => {
+      const ticketRef = db.collection('tickets').doc(claims.ticketId);
+      const ticketDoc = await transaction.get(ticketRef);
+
+      if (!ticketDoc.exists) {
+        throw httpError(404, 'Ticket not found.');
+      }
+
+      const ticket = ticketDoc.data();
+      checkTicketCredential(ticket, claims);
+
+      if (ticket.status !== 'confirmed') {
+        throw httpError(403, 'Ticket has not been paid for.');
+      }
+
+      const eventDoc = await transaction.get(db.collection('events').doc(ticket.eventId));
+      const attendanceSnapshot = await transaction.get(db.collection('attendances')
+        .where('userId', '==', ticket.userId)
+        .where('eventId', '==', ticket.eventId)
+        .limit(1));
+
+      const scannedAtTimestamp = admin.firestore.Timestamp.fromDate(scannedAt);
+      const checkIn = ticket.checkIn || { entries: 0 };
+
+      // Offline scans can be synced after later ones, so the earliest scan always stays the first entry
+      const isEarliest = !checkIn.firstScanAt || scannedAtTimestamp.toMillis() < checkIn.firstScanAt.toMillis();
+      const isLatest = !checkIn.lastScanAt || scannedAtTimestamp.toMillis() >= checkIn.lastScanAt.toMillis();
+
+      if (checkIn.entries >= allowedEntries(ticket, eventDoc.exists ? eventDoc.data() : {})) {
+        if (isEarliest) {
+          transaction.update(ticketRef, { 'checkIn.firstScanAt': scannedAtTimestamp, 'checkIn.firstGate': gate });
+        }
+        return {
+          duplicate: true,
+          firstScan: { scannedAt: checkIn.firstScanAt.toDate().toISOString(), gate: checkIn.firstGate },
+        };
+      }
+
+      const nextCheckIn = {
+        entries: checkIn.entries + 1,
+        firstScanAt: isEarliest ? scannedAtTimestamp : checkIn.firstScanAt,
+        firstGate: isEarliest ? gate : checkIn.firstGate,
+        lastScanAt: isLatest ? scannedAtTimestamp : checkIn.lastScanAt,
+        lastGate: isLatest ? gate : checkIn.lastGate,
+      };
+      transaction.update(ticketRef, { checkIn: nextCheckIn });
+
+      if (attendanceSnapshot.empty) {
+        const attendanceRef = db.collection('attendances').doc();
+        transaction.set(attendanceRef, {
+          attendanceId: attendanceRef.id,
+          eventId: ticket.eventId,
+          userId: ticket.userId,
+          timestamp: scannedAtTimestamp,
+          attendanceStatus: 'attended',
+          paymentStatus: 'paid',
+          checkedInAt: scannedAtTimestamp,
+        });
+      } else {
+        transaction.update(attendanceSnapshot.docs[0].ref, {
+          attendanceStatus: 'attended',
+          checkedInAt: attendanceSnapshot.docs[0].data().checkedInAt || scannedAtTimestamp,
+        });
+      }
+
+      return {
+        ticketId: ticket.ticketId,
+        userId: ticket.userId,
+        ticketType: ticket.ticketType,
+        entries: nextCheckIn.entries,
+      };
+    });
+
+    if (result.duplicate) {
+      const { firstScan } = result;
+      const error = httpError(409, `Ticket was already scanned at ${firstScan.scannedAt}${firstScan.gate ? ` at gate ${firstScan.gate}` : ''}.`);
+      error.data = { firstScan };
+      throw error;
+    }
+
+    await logScan({ eventId, ticketId, gate, deviceId, scannedAt, source, result: 'admitted' })
+      .catch((error) => console.error('Error logging scan:', error));
+    return result;
+  } catch (e) {
+    await logScan({ eventId, ticketId, gate, deviceId, scannedAt, source, result: 'rejected', reason: e.status ? e.message : 'Internal error' })
+      .catch((error) => console.error('Error logging scan:', error));
+    throw e;
+  }
+};
+
+// check a ticket in at the gate
+app.post('/api/tickets/checkin', authenticate(), requireEventOwner('eventId', 'scanner'), async (req, res) => {
+  const { qrcode, barcode, eventId, gate, deviceId } = req.body;
+
+  if (!eventId) {
+    return handleError(res, 400, 'Event ID is required.');
+  }
+
+  try {
+    const result = await checkInTicket({ code: qrcode || barcode, eventId, gate, deviceId });
+    handleSuccess(res, { message: 'Ticket checked in successfully.', ...result });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message, e.data);
+    }
+    handleError(res, 500, 'An error occurred while checking in the ticket.');
+  }
+});
+
+// list the scanners assigned to an event
+app.get('/api/events/:eventId/scanners', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const eventDoc = await db.collection('events').doc(eventId).get();
+
+    if (!eventDoc.exists) {
+      return handleError(res, 404, 'Event not found.');
+    }
+
+    handleSuccess(res, { scannerIds: eventDoc.data().scannerIds || [] });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while retrieving the event scanners.');
+  }
+});
+
+// choose which scanner accounts may check tickets in and download manifests for an event
+app.put('/api/events/:eventId/scanners', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
+  const { scannerIds } = req.body;
+
+  if (!Array.isArray(scannerIds) || scannerIds.some(userId => typeof userId !== 'string' || !userId)) {
+    return handleError(res, 400, 'scannerIds must be a list of user IDs.');
+  }
+
+  try {
+    const uniqueIds = [...new Set(scannerIds)];
+    const userDocs = uniqueIds.length > 0
+      ? await db.getAll(...uniqueIds.map(userId => db.collection('users').doc(userId)))
+      : [];
+    const missing = userDocs.filter(doc => !doc.exists).map(doc => doc.id);
+    if (missing.length > 0) {
+      return handleError(res, 404, `Unknown users: ${missing.join(', ')}.`);
+    }
+
+    await db.collection('events').doc(eventId).update({ scannerIds: uniqueIds });
+    handleSuccess(res, { message: 'Event scanners updated successfully.', scannerIds: uniqueIds });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while updating the event scanners.');
+  }
+});
+
+// export a signed manifest of admissible tickets for offline scanners
+app.get('/api/events/:eventId/manifest', authenticate(), requireEventOwner('eventId', 'scanner'), async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const eventDoc = await db.collection('events').doc(eventId).get();
+
+    if (!eventDoc.exists) {
+      return handleError(res, 404, 'Event not found.');
+    }
+
+    const ticketsSnapshot = await db.collection('tickets')
+      .where('eventId', '==', eventId)
+      .where('status', '==', 'confirmed')
+      .get();
+
+    const tickets = ticketsSnapshot.docs
+      .map(doc => doc.data())
+      .filter(ticket => ticket.credential && !ticket.credential.revoked)
+      .map((ticket) => {
+        const entries = allowedEntries(ticket, eventDoc.data());
+        return {
+          ticketId: ticket.ticketId,
+          ticketType: ticket.ticketType,
+          qrcode: ticket.qrcode,
+          barcode: ticket.barcode,
+          allowedEntries: entries === Infinity ? null : entries,
+          entriesUsed: ticket.checkIn ? ticket.checkIn.entries : 0,
+        };
+      });
+
+    const manifest = {
+      eventId,
+      generatedAt: new Date().toISOString(),
+      reentry: eventDoc.data().reentry || { allowed: false },
+      tickets,
+    };
+
+    handleSuccess(res, { manifest, signature: signManifest(manifest) });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while exporting the scanner manifest.');
+  }
+});
+
+// get the public key scanners use to check manifest signatures
+app.get('/api/manifests/publicKey', (req, res) => {
+  try {
+    const publicKey = crypto.createPublicKey(manifestSigningKey()).export({ type: 'spki', format: 'pem' });
+    handleSuccess(res, { algorithm: 'Ed25519', publicKey });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while retrieving the manifest public key.');
+  }
+});
+
+// merge scans that a device made while offline
+app.post('/api/events/:eventId/scans/sync', authenticate(), requireEventOwner('eventId', 'scanner'), async (req, res) => {
+  const { eventId } = req.params;
+  const { deviceId, scans } = req.body;
+
+  if (!deviceId) {
+    return handleError(res, 400, 'Device ID is required.');
+  }
+  if (!Array.isArray(scans) || scans.length === 0 || scans.length > 500) {
+    return handleError(res, 400, 'Scans must be a list of 1 to 500 entries.');
+  }
+
+  try {
+    const report = { deviceId, received: scans.length, admitted: [], duplicates: [], invalid: [] };
+
+    // Replaying in scan order means the earliest scan of a ticket is the one that gets in
+    const ordered = scans
+      .map((scan, index) => ({ ...scan, index, scannedAt: new Date(scan.scannedAt) }))
+      .sort((a, b) => a.scannedAt - b.scannedAt);
+
+    for (const scan of ordered) {
+      const entry = { index: scan.index, gate: scan.gate || null };
+
+      if (Number.isNaN(scan.scannedAt.getTime())) {
+        report.invalid.push({ ...entry, scannedAt: null, reason: 'Invalid scan time.' });
+        continue;
+      }
+      entry.scannedAt = scan.scannedAt.toISOString();
+
+      try {
+        const result = await checkInTicket({
+          code: scan.qrcode || scan.barcode,
+          eventId,
+          gate: entry.gate,
+          deviceId,
+          scannedAt: scan.scannedAt,
+          source: 'offline',
+        });
+        report.admitted.push({ ...entry, ticketId: result.ticketId, entries: result.entries });
+      } catch (e) {
+        if (!e.status) {
+          throw e;
+        }
+        if (e.status === 409) {
+          report.duplicates.push({ ...entry, reason: e.message, firstScan: e.data.firstScan });
+        } else {
+          report.invalid.push({ ...entry, reason: e.message });
+        }
+      }
+    }
+
+    handleSuccess(res, report);
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while syncing offline scans.');
+  }
+});
+
+// get the scan log for an event
+app.get('/api/events/:eventId/scans', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
+  const { result, gate, ticketId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+  try {
+    let scanQuery = db.collection('scans').where('eventId', '==', eventId);
+    if (result) {
+      scanQuery = scanQuery.where('result', '==', result);
+    }
+    if (gate) {
+      scanQuery = scanQuery.where('gate', '==', gate);
+    }
+    if (ticketId) {
+      scanQuery = scanQuery.where('ticketId', '==', ticketId);
+    }
+
+    const snapshot = await scanQuery.orderBy('scannedAt', 'desc').limit(limit).get();
+    const scans = snapshot.docs.map((doc) => {
+      const scan = doc.data();
+      return {
+        ...scan,
+        scannedAt: scan.scannedAt.toDate().toISOString(),
+        loggedAt: scan.loggedAt ? scan.loggedAt.toDate().toISOString() : null,
+      };
+    });
+
+    handleSuccess(res, scans);
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while retrieving the scan log.');
+  }
+});
+
+// update  attendance by userid and eventid
+app.put('/api/attendances/:userId/:eventId', authenticate(), requireEventOwner('eventId', 'scanner'), async (req, res) => {
+  const { userId, eventId } = req.params;
+  const { attendanceStatus, paymentStatus } = req.body;
+  try {
+    const attendanceSnapshot = await db.collection('attendances').where('userId', '==', userId).where('eventId', '==', eventId).get();
+    if (attendanceSnapshot.empty) {
       return handleError(res, 404, 'Attendance not found.');
     }
-    const attendanceId = attendanceSnapshot.docs[0].id;
-    await db.collection('attendances').doc(attendanceId).update({ attendanceStatus, paymentStatus });
-    handleSuccess(res, { message: 'Attendance updated successfully.' });
+    const attendanceId = attendanceSnapshot.docs[0].id;
+    await db.collection('attendances').doc(attendanceId).update({ attendanceStatus, paymentStatus });
+    handleSuccess(res, { message: 'Attendance updated successfully.' });
+  } catch (error) {
+    handleError(res, 500, 'An error occurred while updating the attendance.');
+  }
+});
+
+
+// WAITLIST ROUTES
+
+// ** Helper to build a waitlist entry's document ID; a user has one entry per event ** //
+const waitlistDocId = (eventId, userId) => `${eventId}_${userId}`;
+
+// ** Helper to check whether a waitlist offer can still be used ** //
+const isOfferActive = (entry) => entry.status === 'offered'
+  && Boolean(entry.offerExpiresAt)
+  && entry.offerExpiresAt.toMillis() > Date.now();
+
+// ** Helper to count an event's waitlist entries in a given status ** //
+const countWaitlist = async (eventId, status) => {
+  const snapshot = await db.collection('waitlists')
+    .where('eventId', '==', eventId)
+    .where('status', '==', status)
+    .count()
+    .get();
+  return snapshot.data().count;
+};
+
+// ** Mail ** //
+// Every email goes through the `mailQueue` collection: `queueEmail` stores it and tries to deliver it
+// straight away, and `processMailQueue` retries failed sends with exponential backoff until
+// `mailMaxAttempts` is reached. Each queue document keeps its delivery status, attempts and last error,
+// and a send claimed more than `mailSendingTimeoutSeconds` ago without finishing is queued again.
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (amount, currency) => `${currency || config.currency} ${Number(amount || 0).toFixed(2)}`;
+
+// Templates render `{ subject, text, html }` from their data; `html` receives already-escaped values
+const MAIL_TEMPLATES = {
+  verification: ({ code, minutes }) => ({
+    subject: 'Ticketron Organizer Account Email Verification',
+    text: `Please this is your ticketron account email verification code: ${code}, do not share it with anyone else.`
+      + (minutes ? ` It expires in ${minutes} minutes.` : ''),
+    html: `<p>Your ticketron account email verification code is <strong>${escapeHtml(code)}</strong>.</p>`
+      + '<p>Do not share it with anyone else.'
+      + (minutes ? ` It expires in ${escapeHtml(minutes)} minutes.` : '') + '</p>',
+  }),
+  receipt: ({ name, eventTitle, eventDate, tickets = [], amount, currency, reference }) => ({
+    subject: `Your tickets for ${eventTitle}`,
+    text: [
+      `Hi ${name || 'there'},`,
+      `Thanks for your purchase. Your tickets for ${eventTitle} on ${eventDate} are confirmed.`,
+      ...tickets.map(ticket => `- ${ticket.ticketType} ticket ${ticket.ticketId}${ticket.seat ? `, seat ${ticket.seat}` : ''}`),
+      `Total paid: ${formatMoney(amount, currency)}`,
+      `Payment reference: ${reference}`,
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(name || 'there')},</p>`
+      + `<p>Thanks for your purchase. Your tickets for <strong>${escapeHtml(eventTitle)}</strong> on ${escapeHtml(eventDate)} are confirmed.</p>`
+      + `<ul>${tickets.map(ticket => `<li>${escapeHtml(ticket.ticketType)} ticket ${escapeHtml(ticket.ticketId)}`
+        + `${ticket.seat ? `, seat ${escapeHtml(ticket.seat)}` : ''}</li>`).join('')}</ul>`
+      + `<p>Total paid: <strong>${escapeHtml(formatMoney(amount, currency))}</strong><br>Payment reference: ${escapeHtml(reference)}</p>`,
+  }),
+  cancellation: ({ name, eventTitle, ticketId, quantity, refundAmount, currency }) => ({
+    subject: `Your ticket for ${eventTitle} was canceled`,
+    text: [
+      `Hi ${name || 'there'},`,
+      `${quantity} admission(s) on ticket ${ticketId} for ${eventTitle} have been canceled.`,
+      refundAmount > 0
+        ? `A refund of ${formatMoney(refundAmount, currency)} is on its way to you.`
+        : 'No refund is due under the event\'s refund policy.',
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(name || 'there')},</p>`
+      + `<p>${escapeHtml(quantity)} admission(s) on ticket ${escapeHtml(ticketId)} for <strong>${escapeHtml(eventTitle)}</strong> have been canceled.</p>`
+      + `<p>${refundAmount > 0
+        ? `A refund of <strong>${escapeHtml(formatMoney(refundAmount, currency))}</strong> is on its way to you.`
+        : 'No refund is due under the event&#39;s refund policy.'}</p>`,
+  }),
+  notification: ({ name, title, message }) => ({
+    subject: title,
+    text: [`Hi ${name || 'there'},`, message].join('\n'),
+    html: `<p>Hi ${escapeHtml(name || 'there')},</p><p>${escapeHtml(message)}</p>`,
+  }),
+  reminder: ({ name, eventTitle, eventDate, eventTime, location, message }) => ({
+    subject: `Reminder: ${eventTitle}`,
+    text: [
+      `Hi ${name || 'there'},`,
+      message || `${eventTitle} is coming up on ${eventDate}${eventTime ? ` at ${eventTime}` : ''}.`,
+      location ? `Where: ${location}` : null,
+    ].filter(Boolean).join('\n'),
+    html: `<p>Hi ${escapeHtml(name || 'there')},</p>`
+      + `<p>${escapeHtml(message || `${eventTitle} is coming up on ${eventDate}${eventTime ? ` at ${eventTime}` : ''}.`)}</p>`
+      + (location ? `<p>Where: ${escapeHtml(location)}</p>` : ''),
+  }),
+};
+
+// ** Helper to build the configured mail transport ** //
+// The file transport renders each message to an .eml file instead of sending it, for local testing.
+const createMailTransport = () => {
+  if (config.mailTransport === 'file') {
+    const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    return {
+      sendMail: async (message) => {
+        const info = await transport.sendMail(message);
+        await fs.promises.mkdir(config.mailFileDir, { recursive: true });
+        await fs.promises.writeFile(
+          path.join(config.mailFileDir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`),
+          info.message,
+        );
+        return info;
+      },
+    };
+  }
+
+  return nodemailer.createTransport({
+    host: config.smtpHost,
+    port: config.smtpPort,
+    secure: config.smtpSecure,
+    ...(config.smtpUser && { auth: { user: config.smtpUser, pass: config.smtpPass } }),
+  });
+};
+
+let mailTransport = null;
+const getMailTransport = () => {
+  if (!mailTransport) {
+    mailTransport = createMailTransport();
+  }
+  return mailTransport;
+};
+
+// ** Helper to try delivering one queued email, claiming it first so it is never sent twice at once ** //
+const deliverEmail = async (mailRef) => {
+  const mail = await db.runTransaction(async (transaction) => {
+    const mailDoc = await transaction.get(mailRef);
+    if (!mailDoc.exists || mailDoc.data().status !== 'queued') {
+      return null;
+    }
+    transaction.update(mailRef, {
+      status: 'sending',
+      attempts: FieldValue.increment(1),
+      claimedAt: admin.firestore.Timestamp.now(),
+    });
+    return { ...mailDoc.data(), attempts: (mailDoc.data().attempts || 0) + 1 };
+  });
+  if (!mail) {
+    return false;
+  }
+
+  try {
+    const { subject, text, html } = MAIL_TEMPLATES[mail.template](mail.data || {});
+    const info = await getMailTransport().sendMail({ from: config.mailFrom, to: mail.to, subject, text, html });
+    await mailRef.update({
+      status: 'sent',
+      messageId: info.messageId || null,
+      sentAt: FieldValue.serverTimestamp(),
+      lastError: null,
+    });
+    return true;
+  } catch (error) {
+    const failed = mail.attempts >= config.mailMaxAttempts;
+    await mailRef.update({
+      status: failed ? 'failed' : 'queued',
+      lastError: error.message,
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(
+        Date.now() + config.mailRetrySeconds * 1000 * 2 ** (mail.attempts - 1),
+      ),
+    });
+    return false;
+  }
+};
+
+// ** Helper to queue an email from a named template and try to send it right away ** //
+const queueEmail = async (template, to, data = {}) => {
+  if (!MAIL_TEMPLATES[template]) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const mailRef = db.collection('mailQueue').doc();
+  await mailRef.set({
+    mailId: mailRef.id,
+    template,
+    to,
+    data,
+    status: 'queued',
+    attempts: 0,
+    nextAttemptAt: admin.firestore.Timestamp.now(),
+    createdAt: FieldValue.serverTimestamp(),
+  });
+
+  deliverEmail(mailRef).catch((error) => console.error('Error delivering email:', error));
+  return mailRef.id;
+};
+
+// ** Helper to put queue entries stuck in `sending` since before `cutoff` back in the queue ** //
+// The run that claimed them stopped without finishing or failing, most likely because the process died.
+// Entries that have used up `maxAttempts` are marked failed instead.
+const requeueStaleClaims = async (collection, cutoff, maxAttempts) => {
+  const snapshot = await db.collection(collection)
+    .where('status', '==', 'sending')
+    .where('claimedAt', '<=', cutoff)
+    .limit(20)
+    .get();
+
+  let requeued = 0;
+  for (const doc of snapshot.docs) {
+    const stale = await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(doc.ref);
+      if (!current.exists || current.data().status !== 'sending'
+        || current.data().claimedAt.toMillis() > cutoff.toMillis()) {
+        return false;
+      }
+      transaction.update(doc.ref, {
+        status: (current.data().attempts || 0) >= maxAttempts ? 'failed' : 'queued',
+        lastError: 'Stopped while sending',
+        nextAttemptAt: admin.firestore.Timestamp.now(),
+      });
+      return true;
+    });
+    if (stale) {
+      requeued += 1;
+    }
+  }
+  return requeued;
+};
+
+// ** Helper to retry queued emails whose next attempt is due, and take back those whose send died ** //
+const processMailQueue = async () => {
+  await requeueStaleClaims('mailQueue',
+    admin.firestore.Timestamp.fromMillis(Date.now() - config.mailSendingTimeoutSeconds * 1000),
+    config.mailMaxAttempts);
+
+  const snapshot = await db.collection('mailQueue')
+    .where('status', '==', 'queued')
+    .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+    .limit(20)
+    .get();
+
+  let sent = 0;
+  for (const doc of snapshot.docs) {
+    if (await deliverEmail(doc.ref)) {
+      sent += 1;
+    }
+  }
+  return sent;
+};
+
+// ** Helper to email the buyer a receipt once a payment has gone through ** //
+// Never fails the caller: the payment is already recorded by the time a receipt goes out.
+const sendPaymentReceipt = async (paymentId) => {
+  try {
+    const paymentDoc = await db.collection('payments').doc(paymentId).get();
+    if (!paymentDoc.exists) {
+      return null;
+    }
+
+    const payment = paymentDoc.data();
+    const [userDoc, eventDoc] = await Promise.all([
+      db.collection('users').doc(payment.userId).get(),
+      db.collection('events').doc(payment.eventId).get(),
+    ]);
+    if (!userDoc.exists || !userDoc.data().email) {
+      return null;
+    }
+
+    let ticketIds = payment.ticketId ? [payment.ticketId] : [];
+    if (payment.orderId) {
+      const orderDoc = await db.collection('orders').doc(payment.orderId).get();
+      ticketIds = orderDoc.exists ? orderDoc.data().ticketIds : [];
+    } else if (payment.transferId) {
+      const transferDoc = await db.collection('ticketTransfers').doc(payment.transferId).get();
+      ticketIds = transferDoc.exists ? [transferDoc.data().ticketId] : [];
+    }
+    const ticketDocs = ticketIds.length > 0
+      ? await db.getAll(...ticketIds.map(ticketId => db.collection('tickets').doc(ticketId)))
+      : [];
+    const event = eventDoc.exists ? eventDoc.data() : {};
+
+    return await queueEmail('receipt', userDoc.data().email, {
+      name: userDoc.data().name || null,
+      eventTitle: event.title || 'your event',
+      eventDate: event.date || '',
+      tickets: ticketDocs.filter(doc => doc.exists).map(doc => ({
+        ticketId: doc.id,
+        ticketType: doc.data().ticketType,
+        seat: doc.data().seat || null,
+      })),
+      amount: Number(payment.amount),
+      currency: payment.currency || config.currency,
+      reference: paymentId,
+    });
+  } catch (error) {
+    console.error('Error sending payment receipt:', error);
+    return null;
+  }
+};
+
+// ** Helper to email the holder when their ticket is canceled, passing the ticket through ** //
+const sendCancellationEmail = async (ticket) => {
+  if (!ticket) {
+    return ticket;
+  }
+
+  try {
+    const [userDoc, eventDoc] = await Promise.all([
+      db.collection('users').doc(ticket.userId).get(),
+      db.collection('events').doc(ticket.eventId).get(),
+    ]);
+
+    if (userDoc.exists && userDoc.data().email) {
+      await queueEmail('cancellation', userDoc.data().email, {
+        name: userDoc.data().name || null,
+        eventTitle: eventDoc.exists ? eventDoc.data().title : 'your event',
+        ticketId: ticket.ticketId,
+        quantity: ticket.refund ? ticket.refund.quantity : ticket.quantity,
+        refundAmount: ticket.refund ? ticket.refund.amount : 0,
+        currency: (ticket.priceBreakdown && ticket.priceBreakdown.currency) || config.currency,
+      });
+    }
+  } catch (error) {
+    console.error('Error sending cancellation email:', error);
+  }
+  return ticket;
+};
+
+// ** Notifications ** //
+// Every notification lands in the user's inbox (the `notifications` collection) and is then fanned out to
+// push and email according to the user's `notificationPreferences`:
+// `{ push: true, email: false, types: { [type]: { push, email } } }`, where per-type settings win.
+const NOTIFICATION_CHANNELS = ['push', 'email'];
+const DEFAULT_NOTIFICATION_PREFERENCES = { push: true, email: false };
+
+// ** Helper to decide whether a user wants a type of notification on a channel ** //
+const wantsChannel = (preferences = {}, type, channel) => {
+  const typePreferences = (preferences.types || {})[type] || {};
+  if (typeof typePreferences[channel] === 'boolean') {
+    return typePreferences[channel];
+  }
+  return typeof preferences[channel] === 'boolean' ? preferences[channel] : DEFAULT_NOTIFICATION_PREFERENCES[channel];
+};
+
+// ** Helper to send a push message to a user's devices ** //
+// Returns the tokens FCM reported as no longer registered so they can be forgotten, and `stubbed`
+// when the stub transport swallowed the message instead of sending it.
+const sendPush = async (tokens, { title, message, data = {} }) => {
+  if (config.pushTransport !== 'fcm') {
+    if (config.logStubPush) {
+      console.log(`[push stub] ${tokens.length} device(s): ${title} - ${message}`);
+    }
+    return { sent: 0, staleTokens: [], stubbed: true };
+  }
+
+  const response = await admin.messaging().sendEachForMulticast({
+    tokens,
+    notification: { title, body: message },
+    data: Object.fromEntries(Object.entries(data).filter(([, value]) => value).map(([key, value]) => [key, String(value)])),
+  });
+  const staleTokens = response.responses
+    .map((result, index) => (result.error && result.error.code === 'messaging/registration-token-not-registered' ? tokens[index] : null))
+    .filter(Boolean);
+  if (response.failureCount > staleTokens.length) {
+    throw new Error(`${response.failureCount - staleTokens.length} push message(s) failed.`);
+  }
+  return { sent: response.successCount, staleTokens };
+};
+
+// ** Helper to fan a stored notification out to the channels its user has turned on ** //
+// Emails use the generic notification template unless `options.emailTemplate` names another.
+const deliverNotification = async (notificationRef, notification, options = {}) => {
+  const userRef = db.collection('users').doc(notification.userId);
+  const userDoc = await userRef.get();
+  const user = userDoc.exists ? userDoc.data() : {};
+  const deliveries = {};
+
+  await Promise.all(NOTIFICATION_CHANNELS.map(async (channel) => {
+    if (!wantsChannel(user.notificationPreferences, notification.type, channel)) {
+      deliveries[channel] = 'off';
+      return;
+    }
+
+    try {
+      if (channel === 'push') {
+        const tokens = user.pushTokens || [];
+        if (tokens.length === 0) {
+          deliveries.push = 'no_device';
+          return;
+        }
+        const { staleTokens, stubbed } = await sendPush(tokens, {
+          ...notification,
+          data: { notificationId: notificationRef.id, eventId: notification.eventId, type: notification.type },
+        });
+        if (staleTokens.length > 0) {
+          await userRef.update({ pushTokens: FieldValue.arrayRemove(...staleTokens) });
+        }
+        deliveries.push = stubbed ? 'stubbed' : 'sent';
+      } else if (user.email) {
+        await queueEmail(options.emailTemplate || 'notification', user.email, {
+          name: user.name || null,
+          title: notification.title,
+          message: notification.message,
+          ...options.emailData,
+        });
+        deliveries.email = 'queued';
+      } else {
+        deliveries.email = 'no_address';
+      }
+    } catch (error) {
+      console.error(`Error delivering ${channel} notification:`, error);
+      deliveries[channel] = 'failed';
+    }
+  }));
+
+  await notificationRef.update({ deliveries });
+  return deliveries;
+};
+
+// ** Helper to store a notification in the user's inbox and deliver it ** //
+// Delivery problems are recorded on the notification rather than failing the caller. With
+// `options.notificationId` it is only stored if that ID is still free, and null comes back otherwise.
+const createNotification = async (notification, options = {}) => {
+  const notificationRef = options.notificationId
+    ? db.collection('notifications').doc(options.notificationId)
+    : db.collection('notifications').doc();
+  const stored = {
+    ...notification,
+    notification_id: notificationRef.id,
+    read: false,
+    createdAt: FieldValue.serverTimestamp(),
+  };
+  if (!options.notificationId) {
+    await notificationRef.set(stored);
+  } else if (!await notificationRef.create(stored).then(() => true, (error) => {
+    if (error.code === 6) {
+      return false;
+    }
+    throw error;
+  })) {
+    return null;
+  }
+
+  await deliverNotification(notificationRef, notification, options)
+    .catch((error) => console.error('Error delivering notification:', error));
+  return notificationRef.id;
+};
+
+// ** Helper to find the users an audience describes ** //
+// `{ type: 'users', userIds }`, `{ type: 'ticketHolders', eventId, statuses }` (confirmed tickets by default),
+// `{ type: 'waitlist', eventId }` or `{ type: 'favorites', eventId }`.
+const NOTIFICATION_AUDIENCES = ['users', 'ticketHolders', 'waitlist', 'favorites'];
+const resolveAudience = async (audience) => {
+  let userIds = [];
+
+  if (audience.type === 'users') {
+    userIds = audience.userIds || [];
+  } else if (audience.type === 'ticketHolders') {
+    const ticketsSnapshot = await db.collection('tickets')
+      .where('eventId', '==', audience.eventId)
+      .where('status', 'in', audience.statuses || ['confirmed'])
+      .get();
+    userIds = ticketsSnapshot.docs.map(doc => doc.data().userId);
+  } else if (audience.type === 'waitlist') {
+    const waitlistSnapshot = await db.collection('waitlists')
+      .where('eventId', '==', audience.eventId)
+      .where('status', 'in', ['waiting', 'offered'])
+      .get();
+    userIds = waitlistSnapshot.docs.map(doc => doc.data().userId);
+  } else if (audience.type === 'favorites') {
+    const favoritesSnapshot = await db.collection('favorites').where('events', 'array-contains', audience.eventId).get();
+    userIds = favoritesSnapshot.docs.map(doc => doc.id);
+  }
+
+  return [...new Set(userIds.filter(Boolean))];
+};
+
+// ** Event reminders ** //
+// Reminders go out `offsetsHours` before an event starts and a follow-up `followUpHours` after it ends,
+// to every confirmed ticket holder. A `reminderDeliveries` document per reminder and user is created before
+// sending, so nothing is sent twice even across restarts; `remindersSent` on the event marks finished slots.
+// Both are keyed by the slot and its send time, so moving the event schedules its reminders afresh.
+// Slots that come due while the server is down are still sent until the next slot (or, for follow-ups, a day) passes.
+const REMINDER_WINDOW_DAYS = 8;
+// Event dates are local, so the last day of the window is kept as slack for timezones
+const MAX_REMINDER_OFFSET_HOURS = (REMINDER_WINDOW_DAYS - 1) * 24;
+
+// ** Helper to list an event's reminder slots with when each should go out ** //
+const reminderSchedule = (event) => {
+  const settings = { offsetsHours: config.reminderOffsetsHours, followUpHours: config.followUpHours, ...(event.reminders || {}) };
+  const startsAt = eventStartsAt(event);
+  if (settings.enabled === false || !startsAt) {
+    return [];
+  }
+
+  const hour = 60 * 60 * 1000;
+  const offsets = [...new Set(settings.offsetsHours)].filter(hours => hours > 0).sort((a, b) => b - a);
+  const slots = offsets.map((hours, index) => ({
+    slot: `before_${hours}h`,
+    kind: 'reminder',
+    sendAt: new Date(startsAt.getTime() - hours * hour),
+    until: index + 1 < offsets.length ? new Date(startsAt.getTime() - offsets[index + 1] * hour) : startsAt,
+  }));
+
+  if (settings.followUpHours !== null && settings.followUpHours >= 0) {
+    const sendAt = new Date(eventEndsAt(event).getTime() + settings.followUpHours * hour);
+    slots.push({ slot: 'followup', kind: 'followup', sendAt, until: new Date(sendAt.getTime() + 24 * hour) });
+  }
+  return slots.map(slot => ({ ...slot, key: `${slot.slot}_${slot.sendAt.getTime()}` }));
+};
+
+// ** Helper to check whether a user has turned a notification type off on every channel ** //
+const optedOut = (user, type) => NOTIFICATION_CHANNELS.every(channel => !wantsChannel(user.notificationPreferences, type, channel));
+
+// ** Helper to send one reminder slot of an event to each ticket holder who has not had it yet ** //
+const sendEventReminder = async (eventDoc, { slot, key, kind }) => {
+  const event = eventDoc.data();
+  const type = kind === 'followup' ? 'event_followup' : 'event_reminder';
+  const userIds = await resolveAudience({ type: 'ticketHolders', eventId: eventDoc.id });
+  const userDocs = userIds.length > 0
+    ? await db.getAll(...userIds.map(userId => db.collection('users').doc(userId)))
+    : [];
+
+  let sent = 0;
+  for (const userDoc of userDocs) {
+    if (userDoc.exists && optedOut(userDoc.data(), type)) {
+      continue;
+    }
+
+    // `create` fails when the delivery already exists, which is what keeps reminders from repeating
+    const claimed = await db.collection('reminderDeliveries').doc(`${eventDoc.id}_${key}_${userDoc.id}`).create({
+      eventId: eventDoc.id,
+      slot,
+      slotKey: key,
+      userId: userDoc.id,
+      createdAt: FieldValue.serverTimestamp(),
+    }).then(() => true, (error) => {
+      if (error.code === 6) {
+        return false;
+      }
+      throw error;
+    });
+    if (!claimed) {
+      continue;
+    }
+
+    const location = locationLabel(event.location);
+    await createNotification({
+      userId: userDoc.id,
+      eventId: eventDoc.id,
+      type,
+      title: kind === 'followup' ? `Thanks for coming to ${event.title}` : `Reminder: ${event.title}`,
+      message: kind === 'followup'
+        ? `We hope you enjoyed ${event.title}. Let the organizer know how it went!`
+        : `${event.title} starts on ${event.date}${event.time ? ` at ${event.time}` : ''}${location ? ` at ${location}` : ''}.`,
+    }, kind === 'followup' ? {} : {
+      emailTemplate: 'reminder',
+      emailData: { eventTitle: event.title, eventDate: event.date, eventTime: event.time, location, message: null },
+    });
+    sent += 1;
+  }
+
+  await eventDoc.ref.update({ [`remindersSent.${key}`]: FieldValue.serverTimestamp() });
+  return sent;
+};
+
+// ** Helper to send every reminder that is due for events in the coming days ** //
+const sendDueReminders = async () => {
+  const day = 24 * 60 * 60 * 1000;
+  const eventsSnapshot = await db.collection('events')
+    .where('date', '>=', new Date(Date.now() - 2 * day).toISOString().slice(0, 10))
+    .where('date', '<', new Date(Date.now() + REMINDER_WINDOW_DAYS * day).toISOString().slice(0, 10))
+    .get();
+
+  const now = new Date();
+  let sent = 0;
+  for (const eventDoc of eventsSnapshot.docs) {
+    // One event's bad settings or failed send must not hold up everyone else's reminders
+    try {
+      const remindersSent = eventDoc.data().remindersSent || {};
+      const dueSlots = reminderSchedule(eventDoc.data())
+        .filter(slot => !remindersSent[slot.key] && slot.sendAt <= now && now < slot.until);
+
+      for (const slot of dueSlots) {
+        sent += await sendEventReminder(eventDoc, slot);
+      }
+    } catch (error) {
+      console.error(`Error sending reminders for event ${eventDoc.id}:`, error);
+    }
+  }
+  return sent;
+};
+
+// ** Notification jobs ** //
+// Sending to a whole audience goes through the `notificationJobs` collection the way email goes through
+// `mailQueue`: `queueNotificationJob` stores the job and starts it straight away, and
+// `processNotificationJobs` retries failed jobs with backoff and takes back jobs whose run died. Each
+// recipient's notification is stored as `<jobId>_<userId>`, so a rerun skips the users already reached.
+
+// ** Helper to run one queued notification job, claiming it first so two runs never overlap ** //
+const runNotificationJob = async (jobRef) => {
+  const job = await db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    if (!jobDoc.exists || jobDoc.data().status !== 'queued') {
+      return null;
+    }
+    transaction.update(jobRef, {
+      status: 'sending',
+      attempts: FieldValue.increment(1),
+      claimedAt: admin.firestore.Timestamp.now(),
+    });
+    return { ...jobDoc.data(), attempts: (jobDoc.data().attempts || 0) + 1 };
+  });
+  if (!job) {
+    return false;
+  }
+
+  try {
+    const userIds = await resolveAudience(job.audience);
+    for (let i = 0; i < userIds.length; i += 20) {
+      await Promise.all(userIds.slice(i, i + 20).map(userId => createNotification(
+        { ...job.notification, userId },
+        { notificationId: `${job.jobId}_${userId}` },
+      )));
+      // Renew the claim as the job goes so a long fan-out isn't taken for a dead one
+      await jobRef.update({ claimedAt: admin.firestore.Timestamp.now() });
+    }
+
+    if (job.announcementId) {
+      await db.collection('announcements').doc(job.announcementId).update({ recipients: userIds.length });
+    }
+    await jobRef.update({
+      status: 'sent',
+      recipients: userIds.length,
+      sentAt: FieldValue.serverTimestamp(),
+      lastError: null,
+    });
+    return true;
+  } catch (error) {
+    const failed = job.attempts >= config.notificationJobMaxAttempts;
+    await jobRef.update({
+      status: failed ? 'failed' : 'queued',
+      lastError: error.message,
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(
+        Date.now() + config.notificationJobRetrySeconds * 1000 * 2 ** (job.attempts - 1),
+      ),
+    });
+    return false;
+  }
+};
+
+// ** Helper to queue one notification for every user in an audience and start sending it right away ** //
+// `options.announcementId` names an announcement whose `recipients` is filled in once the job is sent.
+const queueNotificationJob = async (audience, notification, options = {}) => {
+  const jobRef = db.collection('notificationJobs').doc();
+  await jobRef.set({
+    jobId: jobRef.id,
+    audience,
+    notification,
+    announcementId: options.announcementId || null,
+    senderId: notification.senderId || null,
+    status: 'queued',
+    attempts: 0,
+    recipients: null,
+    nextAttemptAt: admin.firestore.Timestamp.now(),
+    createdAt: FieldValue.serverTimestamp(),
+  });
+
+  runNotificationJob(jobRef).catch((error) => console.error('Error running notification job:', error));
+  return jobRef.id;
+};
+
+// ** Helper to retry notification jobs that are due, and take back those whose run died ** //
+const processNotificationJobs = async () => {
+  await requeueStaleClaims('notificationJobs',
+    admin.firestore.Timestamp.fromMillis(Date.now() - config.notificationJobTimeoutSeconds * 1000),
+    config.notificationJobMaxAttempts);
+
+  const snapshot = await db.collection('notificationJobs')
+    .where('status', '==', 'queued')
+    .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+    .limit(20)
+    .get();
+
+  let sent = 0;
+  for (const doc of snapshot.docs) {
+    if (await runNotificationJob(doc.ref)) {
+      sent += 1;
+    }
+  }
+  return sent;
+};
+
+// ** Helper to offer freed tickets to the next person in line, one offer per transaction ** //
+const offerNextInLine = (eventId) => db.runTransaction(async (transaction) => {
+  const eventRef = db.collection('events').doc(eventId);
+  const eventDoc = await transaction.get(eventRef);
+
+  if (!eventDoc.exists || typeof eventDoc.data().ticketsLeft !== 'number') {
+    return null;
+  }
+
+  const event = eventDoc.data();
+  const free = event.ticketsLeft - (event.waitlistReserved || 0);
+  if (free <= 0) {
+    return null;
+  }
+
+  const nextSnapshot = await transaction.get(db.collection('waitlists')
+    .where('eventId', '==', eventId)
+    .where('status', '==', 'waiting')
+    .orderBy('joinedAt')
+    .limit(1));
+
+  if (nextSnapshot.empty) {
+    return null;
+  }
+
+  const entryDoc = nextSnapshot.docs[0];
+  const offerQuantity = Math.min(entryDoc.data().quantity || 1, free);
+  const offerExpiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + config.waitlistOfferMinutes * 60 * 1000);
+
+  transaction.update(entryDoc.ref, {
+    status: 'offered',
+    offerQuantity,
+    offerExpiresAt,
+    offeredAt: FieldValue.serverTimestamp(),
+  });
+  transaction.update(eventRef, { waitlistReserved: (event.waitlistReserved || 0) + offerQuantity });
+
+  return { ...entryDoc.data(), offerQuantity, offerExpiresAt, title: event.title };
+});
+
+// ** Helper to hand out offers until the freed tickets or the waitlist run out ** //
+const promoteWaitlist = async (eventId) => {
+  for (let offered = 0; offered < 50; offered += 1) {
+    const offer = await offerNextInLine(eventId);
+    if (!offer) {
+      return;
+    }
+
+    await createNotification({
+      userId: offer.userId,
+      eventId,
+      type: 'waitlist_offer',
+      title: 'Tickets are available',
+      message: `${offer.offerQuantity} ticket(s) for ${offer.title || 'an event you are waiting for'} are being held for you until ${offer.offerExpiresAt.toDate().toISOString()}.`,
+    });
+  }
+};
+
+// ** Helper to take an offer back from a waitlist entry inside a transaction ** //
+const withdrawWaitlistOffer = async (transaction, entryRef, entry, nextStatus) => {
+  const eventRef = db.collection('events').doc(entry.eventId);
+  const eventDoc = await transaction.get(eventRef);
+
+  if (eventDoc.exists) {
+    const waitlistReserved = eventDoc.data().waitlistReserved || 0;
+    transaction.update(eventRef, { waitlistReserved: Math.max(0, waitlistReserved - (entry.offerQuantity || 0)) });
+  }
+  transaction.update(entryRef, { status: nextStatus, offerExpiresAt: null });
+};
+
+// ** Helper to delete documents whose `expiresAt` has passed, a batch at a time ** //
+const deleteExpired = async (collection) => {
+  const snapshot = await db.collection(collection)
+    .where('expiresAt', '<=', admin.firestore.Timestamp.now())
+    .limit(500)
+    .get();
+
+  if (!snapshot.empty) {
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+  return snapshot.size;
+};
+
+// ** Helper to forget idempotency keys and rate limit windows that have expired ** //
+const expireIdempotencyKeys = () => deleteExpired('idempotencyKeys');
+const expireRateLimits = () => deleteExpired('rateLimits');
+
+// ** Helper to expire waitlist offers that were not used in time and move the line along ** //
+const expireWaitlistOffers = async () => {
+  const snapshot = await db.collection('waitlists')
+    .where('status', '==', 'offered')
+    .where('offerExpiresAt', '<=', admin.firestore.Timestamp.now())
+    .limit(100)
+    .get();
+
+  const eventIds = new Set();
+  for (const doc of snapshot.docs) {
+    const expired = await db.runTransaction(async (transaction) => {
+      const entryDoc = await transaction.get(doc.ref);
+      if (!entryDoc.exists || entryDoc.data().status !== 'offered' || isOfferActive(entryDoc.data())) {
+        return false;
+      }
+      await withdrawWaitlistOffer(transaction, doc.ref, entryDoc.data(), 'expired');
+      return true;
+    });
+    if (expired) {
+      eventIds.add(doc.data().eventId);
+    }
+  }
+
+  for (const eventId of eventIds) {
+    await promoteWaitlist(eventId);
+  }
+};
+
+// ** 1. Join Waitlist ** //
+app.post('/api/events/:eventId/waitlist', authenticate(), requireSelf('userId', 'body'), async (req, res) => {
+  const { eventId } = req.params;
+  const { userId, quantity = 1 } = req.body;
+
+  if (!userId) {
+    return handleError(res, 400, 'User ID is required.');
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return handleError(res, 400, 'Invalid quantity.');
+  }
+
+  try {
+    await db.runTransaction(async (transaction) => {
+      const eventDoc = await transaction.get(db.collection('events').doc(eventId));
+      if (!eventDoc.exists) {
+        throw httpError(404, 'Event not found.');
+      }
+
+      const event = eventDoc.data();
+      if (typeof event.ticketsLeft !== 'number' || event.ticketsLeft - (event.waitlistReserved || 0) > 0) {
+        throw httpError(409, 'Tickets are still available for this event.');
+      }
+
+      const entryRef = db.collection('waitlists').doc(waitlistDocId(eventId, userId));
+      const entryDoc = await transaction.get(entryRef);
+      if (entryDoc.exists && ['waiting', 'offered'].includes(entryDoc.data().status)) {
+        throw httpError(409, 'You are already on the waitlist for this event.');
+      }
+
+      transaction.set(entryRef, {
+        waitlistId: entryRef.id,
+        eventId,
+        userId,
+        quantity,
+        status: 'waiting',
+        joinedAt: admin.firestore.Timestamp.now(),
+        offerQuantity: 0,
+        offerExpiresAt: null,
+      });
+    });
+
+    res.status(201);
+    handleSuccess(res, { message: 'Joined the waitlist successfully.' });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while joining the waitlist.');
+  }
+});
+
+// ** 2. Leave Waitlist ** //
+app.delete('/api/events/:eventId/waitlist/:userId', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { eventId, userId } = req.params;
+
+  try {
+    const hadOffer = await db.runTransaction(async (transaction) => {
+      const entryRef = db.collection('waitlists').doc(waitlistDocId(eventId, userId));
+      const entryDoc = await transaction.get(entryRef);
+
+      if (!entryDoc.exists || !['waiting', 'offered'].includes(entryDoc.data().status)) {
+        throw httpError(404, 'You are not on the waitlist for this event.');
+      }
+
+      if (entryDoc.data().status === 'offered') {
+        await withdrawWaitlistOffer(transaction, entryRef, entryDoc.data(), 'left');
+        return true;
+      }
+
+      transaction.update(entryRef, { status: 'left' });
+      return false;
+    });
+
+    // Tickets that were held for this user go to the next person in line
+    if (hadOffer) {
+      await promoteWaitlist(eventId);
+    }
+
+    handleSuccess(res, { message: 'Left the waitlist successfully.' });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while leaving the waitlist.');
+  }
+});
+
+// ** 3. Get Waitlist Position ** //
+app.get('/api/events/:eventId/waitlist/:userId', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { eventId, userId } = req.params;
+
+  try {
+    const entryDoc = await db.collection('waitlists').doc(waitlistDocId(eventId, userId)).get();
+
+    if (!entryDoc.exists) {
+      return handleError(res, 404, 'You are not on the waitlist for this event.');
+    }
+
+    const entry = entryDoc.data();
+    let position = null;
+    if (entry.status === 'waiting') {
+      const aheadSnapshot = await db.collection('waitlists')
+        .where('eventId', '==', eventId)
+        .where('status', '==', 'waiting')
+        .where('joinedAt', '<', entry.joinedAt)
+        .count()
+        .get();
+      position = aheadSnapshot.data().count + 1;
+    }
+
+    handleSuccess(res, {
+      eventId,
+      userId,
+      status: entry.status,
+      quantity: entry.quantity,
+      position,
+      offerQuantity: entry.offerQuantity || 0,
+      offerExpiresAt: entry.offerExpiresAt ? entry.offerExpiresAt.toDate().toISOString() : null,
+    });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while retrieving the waitlist position.');
+  }
+});
+
+
+// REVENUE AND KPIS ROUTES
+app.get('/api/organizers/:organizerId/kpis', authenticate(), requireSelf('organizerId'), async (req, res) => {
+  const { organizerId } = req.params;
+
+  try {
+    const eventsSnapshot = await db.collection('events')
+      .where('organizer.organizerId', '==', organizerId)
+      .get();
+
+    if (eventsSnapshot.empty) {
+      return handleError(res, 404, 'No events found for this organizer.');
+    }
+
+    const eventIds = eventsSnapshot.docs.map(doc => doc.id);
+
+    const ticketsSnapshot = await db.collection('tickets')
+      .where('eventId', 'in', eventIds)
+       .get();
+
+    const totalRevenue = ticketNetRevenue(ticketsSnapshot.docs.map(doc => doc.data()));
+    const totalSoldTickets = ticketsSnapshot.size;
+    const totalEvents = eventsSnapshot.size;
+
+    const ticketTypeCount = ticketsSnapshot.docs.reduce((acc, doc) => {
+      const ticketType = doc.data().ticketType;
+      if (acc[ticketType]) {
+        acc[ticketType] += doc.data().quantity || 0;
+      } else {
+        acc[ticketType] = doc.data().quantity || 0;
+      }
+      return acc;
+    }, {});
+
+    const bestTicketType = Object.keys(ticketTypeCount).reduce((a, b) => ticketTypeCount[a] > ticketTypeCount[b] ? a : b, '');
+
+    // Promo redemptions only count for purchases that were not canceled or left to expire. An order redeems
+    // its code once for all its tickets, and keeps the redemption while any of them is still held.
+    const promoTickets = ticketsSnapshot.docs
+      .map(doc => doc.data())
+      .filter(ticket => ticket.promoCode && !['canceled', 'expired'].includes(ticket.status));
+    const redeemingPurchases = new Map(promoTickets.map(ticket => [ticket.orderId || ticket.ticketId, ticket.promoCode]));
+    const promoCodeRedemptions = [...redeemingPurchases.values()].reduce((acc, promoCode) => {
+      acc[promoCode] = (acc[promoCode] || 0) + 1;
+      return acc;
+    }, {});
+    const totalDiscounts = roundMoney(promoTickets.reduce((sum, ticket) => sum + ((ticket.priceBreakdown && ticket.priceBreakdown.discount) || 0), 0));
+
+    handleSuccess(res, {
+      totalRevenue,
+      totalSoldTickets,
+      totalEvents,
+      bestTicketType,
+      bestTicketTypeQuantity: ticketTypeCount[bestTicketType] || 0,
+      totalPromoRedemptions: redeemingPurchases.size,
+      totalDiscounts,
+      promoCodeRedemptions,
+    });
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while retrieving KPIs for the organizer.');
+  }
+});
+
+
+// PROMO CODE ROUTES
+
+// ** Helper to make sure a promo code's event belongs to the organizer ** //
+const checkPromoEventOwnership = async (organizerId, eventId) => {
+  if (!eventId) {
+    return;
+  }
+  const eventDoc = await db.collection('events').doc(eventId).get();
+  if (!eventDoc.exists) {
+    throw httpError(404, 'Event not found.');
+  }
+  const organizer = eventDoc.data().organizer || {};
+  if (organizer.organizerId !== organizerId) {
+    throw httpError(403, 'Event does not belong to this organizer.');
+  }
+};
+
+// ** 1. Create Promo Code ** //
+app.post('/api/organizers/:organizerId/promoCodes', authenticate(), requireSelf('organizerId'), validatePromoCode, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { organizerId } = req.params;
+  const {
+    code,
+    eventId = null,
+    discountType,
+    discountValue,
+    maxRedemptions = null,
+    maxRedemptionsPerUser = null,
+    validFrom = null,
+    validUntil = null,
+    ticketTypes = [],
+    active = true,
+  } = req.body;
+
+  try {
+    await checkPromoEventOwnership(organizerId, eventId);
+
+    const promoRef = db.collection('promoCodes').doc(promoCodeDocId(organizerId, code));
+    await promoRef.create({
+      promoCodeId: promoRef.id,
+      code: normalizePromoCode(code),
+      organizerId,
+      eventId,
+      discountType,
+      discountValue: Number(discountValue),
+      maxRedemptions,
+      maxRedemptionsPerUser,
+      validFrom,
+      validUntil,
+      ticketTypes,
+      active,
+      redemptions: 0,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+
+    res.status(201);
+    handleSuccess(res, { message: 'Promo code created successfully.', promoCodeId: promoRef.id });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    // Firestore's ALREADY_EXISTS
+    if (e.code === 6) {
+      return handleError(res, 409, 'Promo code already exists.');
+    }
+    handleError(res, 500, 'An error occurred while creating the promo code.');
+  }
+});
+
+// ** 2. List Promo Codes for Organizer ** //
+app.get('/api/organizers/:organizerId/promoCodes', authenticate(), requireSelf('organizerId'), async (req, res) => {
+  const { organizerId } = req.params;
+  const { eventId } = req.query;
+
+  try {
+    let promoQuery = db.collection('promoCodes').where('organizerId', '==', organizerId);
+    if (eventId) {
+      promoQuery = promoQuery.where('eventId', '==', eventId);
+    }
+
+    const snapshot = await promoQuery.get();
+    handleSuccess(res, snapshot.docs.map(doc => doc.data()));
+  } catch (e) {
+    handleError(res, 500, 'An error occurred while retrieving promo codes.');
+  }
+});
+
+// ** 3. Get Promo Code ** //
+app.get('/api/organizers/:organizerId/promoCodes/:code', authenticate(), requireSelf('organizerId'), async (req, res) => {
+  const { organizerId, code } = req.params;
+
+  try {
+    const promoDoc = await db.collection('promoCodes').doc(promoCodeDocId(organizerId, code)).get();
+
+    if (!promoDoc.exists) {
+      return handleError(res, 404, 'Promo code not found.');
+    }
+
+    handleSuccess(res, promoDoc.data());
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while retrieving the promo code.');
+  }
+});
+
+// ** 4. Update Promo Code ** //
+app.put('/api/organizers/:organizerId/promoCodes/:code', authenticate(), requireSelf('organizerId'), validatePromoCodeUpdate, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { organizerId, code } = req.params;
+  const editableFields = [
+    'eventId',
+    'discountType',
+    'discountValue',
+    'maxRedemptions',
+    'maxRedemptionsPerUser',
+    'validFrom',
+    'validUntil',
+    'ticketTypes',
+    'active',
+  ];
+
+  try {
+    const updates = {};
+    editableFields.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    if (updates.discountValue !== undefined) {
+      updates.discountValue = Number(updates.discountValue);
+    }
+
+    const promoRef = db.collection('promoCodes').doc(promoCodeDocId(organizerId, code));
+    const promoDoc = await promoRef.get();
+
+    if (!promoDoc.exists) {
+      return handleError(res, 404, 'Promo code not found.');
+    }
+
+    await checkPromoEventOwnership(organizerId, updates.eventId);
+
+    await promoRef.update(updates);
+    handleSuccess(res, { message: 'Promo code updated successfully.' });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while updating the promo code.');
+  }
+});
+
+// ** 5. Delete Promo Code ** //
+app.delete('/api/organizers/:organizerId/promoCodes/:code', authenticate(), requireSelf('organizerId'), async (req, res) => {
+  const { organizerId, code } = req.params;
+
+  try {
+    const promoRef = db.collection('promoCodes').doc(promoCodeDocId(organizerId, code));
+    const promoDoc = await promoRef.get();
+
+    if (!promoDoc.exists) {
+      return handleError(res, 404, 'Promo code not found.');
+    }
+
+    await promoRef.delete();
+    handleSuccess(res, { message: 'Promo code deleted successfully.' });
+  } catch (e) {
+    if (e.status) {
+      return handleError(res, e.status, e.message);
+    }
+    handleError(res, 500, 'An error occurred while deleting the promo code.');
+  }
+});
+
+
+// ATTENDANCE API ENDPOINTS
+// Create a new attendance record
+app.post('/api/attendance', authenticate(), requireEventOwner('eventId', 'scanner'), async (req, res) => {
+  const { attendanceId, eventId, userId, timestamp, attendanceStatus, paymentStatus } = req.body;
+  try {
+    await db.collection('attendances').doc(attendanceId).set({
+      attendanceId,
+      eventId,
+      userId,
+      timestamp: new Date(timestamp),
+      attendanceStatus,
+      paymentStatus,
+    });
+    res.status(201).send({ message: 'Attendance record created successfully', attendanceId });
+  } catch (error) {
+    res.status(500).send({ error: 'Error creating attendance record: ' + error.message });
+  }
+});
+
+//create batch attendance with their attendndance ids
+app.post("/api/attendances/batch", authenticate(), requireRole('admin'), async (req, res) => {
+  try {
+    const attendances = req.body;
+    const batch = db.batch();
+    attendances.forEach((attendance) => {
+      const attendanceRef = db.collection('attendances').doc();
+      batch.set(attendanceRef, {
+        ...attendance,
+        attendanceId: attendanceRef.id
+      });
+      
+    });
+    await batch.commit();
+    res.status(201).send({ message: 'Attendances created successfully' });
+  } catch (error) {
+    res.status(500).send({ error: 'Error creating attendances: ' + error.message });
+  }
+});
+
+// Get a specific attendance record by ID
+app.get('/api/attendance/:id', authenticate(), requireAttendanceAccess, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const attendanceDoc = await db.collection('attendances').doc(id).get();
+    if (!attendanceDoc.exists) {
+      return res.status(404).send({ message: 'Attendance record not found' });
+    }
+    res.status(200).send(attendanceDoc.data());
   } catch (error) {
-    handleError(res, 500, 'An error occurred while updating the attendance.');
+    res.status(500).send({ error: 'Error fetching attendance record' });
   }
 });
 
+// Update a specific attendance record by ID
+app.put('/api/attendance/:id', authenticate(), requireAttendanceAccess, async (req, res) => {
+  const { id } = req.params;
+  const { attendanceStatus, paymentStatus } = req.body;
+  try {
+    await db.collection('attendances').doc(id).update({
+      attendanceStatus,
+      paymentStatus,
+    });
+    res.status(200).send({ message: 'Attendance record updated successfully' });
+  } catch (error) {
+    res.status(500).send({ error: 'Error updating attendance record' });
+  }
+});
+
+// Delete a specific attendance record by ID
+app.delete('/api/attendance/:id', authenticate(), requireAttendanceAccess, async (req, res) => {
+  const { id } = req.params;
+  try {
+    await db.collection('attendances').doc(id).delete();
+    res.status(200).send({ message: 'Attendance record deleted successfully' });
+  } catch (error) {
+    res.status(500).send({ error: 'Error deleting attendance record' });
+  }
+});
 
-// REVENUE AND KPIS ROUTES
-app.get('/api/organizers/:organizerId/kpis', async (req, res) => {
-  const { organizerId } = req.params;
 
+// Get attendance list for a given event
+app.get('/api/attendance/event/:eventId', authenticate(), requireEventOwner('eventId', 'scanner'), async (req, res) => {
+  const { eventId } = req.params;
   try {
-    const eventsSnapshot = await db.collection('events')
-      .where('organizer.organizerId', '==', organizerId)
-      .get();
+    const attendanceSnapshot = await db.collection('attendances').where('eventId', '==', eventId).get();
+    if (attendanceSnapshot.empty) {
+      return res.status(404).send({ message: 'No attendance records found for this event' });
+    }
 
-    if (eventsSnapshot.empty) {
-      return handleError(res, 404, 'No events found for this organizer.');
+    const users = await getDocsById('users', attendanceSnapshot.docs.map(doc => doc.data().userId));
+    const attendanceList = [];
+    for (const doc of attendanceSnapshot.docs) {
+      const attendanceData = doc.data();
+      if (!users.has(attendanceData.userId)) {
+        continue;
+      }
+      const userData = users.get(attendanceData.userId);
+      attendanceList.push({
+        userId: userData.userId,
+        name: userData.name,
+        email: userData.email,
+        avatarUrl: userData.avatarUrl,
+        attendanceStatus: attendanceData.attendanceStatus,
+        paymentStatus: attendanceData.paymentStatus,
+      });
     }
 
-    const eventIds = eventsSnapshot.docs.map(doc => doc.id);
+    res.status(200).send(attendanceList);
+  } catch (error) {
+    res.status(500).send({ error: 'Error fetching attendance list: ' + error.message });
+  }
+});
 
-    const ticketsSnapshot = await db.collection('tickets')
-      .where('eventId', 'in', eventIds)
-       .get();
 
-    const totalRevenue = ticketsSnapshot.docs.reduce((sum, doc) => sum + (doc.data().totalPrice || 0), 0);
-    const totalSoldTickets = ticketsSnapshot.size;
-    const totalEvents = eventsSnapshot.size;
 
-    const ticketTypeCount = ticketsSnapshot.docs.reduce((acc, doc) => {
-      const ticketType = doc.data().ticketType;
-      if (acc[ticketType]) {
-        acc[ticketType] += doc.data().quantity || 0;
-      } else {
-        acc[ticketType] = doc.data().quantity || 0;
+// PAYMENT API ENDPOINTS
+// Create a new ticket payment record
+app.post('/api/payments', authenticate(), requireSelf('userId', 'body'), async (req, res) => {
+  const { paymentId, userId, eventId, amount, status, paymentType, ticketId = null } = req.body;
+  if(!paymentId || !userId || !eventId || !amount || !status || !paymentType) {
+    return res.status(400).send({ message: 'Missing required fields' });
+  }
+  // Only the payment provider's webhook can tell us a charge went through
+  if (status !== 'pending' && !isAdmin(req)) {
+    return res.status(403).send({ message: 'Payments are confirmed by the payment provider' });
+  }
+  
+  try {
+    const payment = { paymentId, userId, eventId, amount, status, paymentType, ticketId };
+
+    // A paid payment for a held ticket confirms it in the same write
+    await db.runTransaction(async (transaction) => {
+      if (ticketId && status === 'paid') {
+        const ticketDoc = await transaction.get(db.collection('tickets').doc(ticketId));
+        confirmTicketPayment(transaction, ticketDoc, payment);
       }
-      return acc;
-    }, {});
 
-    const bestTicketType = Object.keys(ticketTypeCount).reduce((a, b) => ticketTypeCount[a] > ticketTypeCount[b] ? a : b, '');
+      transaction.set(db.collection('payments').doc(paymentId), {
+        ...payment,
+        timestamp: FieldValue.serverTimestamp(),
+      });
+    });
+    if (status === 'paid') {
+      await sendPaymentReceipt(paymentId);
+    }
+    res.status(201).send({ message: 'Payment record created successfully' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: 'Error creating payment record, : ' + error.message });
+  }
+});
+
+
+// create batch payments
+app.post("/api/payments/batch", authenticate(), requireRole('admin'), async (req, res) => {
+  try {
+    const payments = req.body;
+    const batch = db.batch();
+    payments.forEach((payment) => {
+      const paymentRef = db
+        .collection("payments")
+        .doc(payment.paymentId);
+      batch.set(paymentRef, payment);
+    });
+
+    await batch.commit();
+    res.status(201).send("Batch payments created successfully");
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Receive charge events from a payment provider
+app.post('/api/payments/webhook/:provider', async (req, res) => {
+  try {
+    const adapter = getPaymentProvider(req.params.provider);
+    if (!adapter) {
+      return res.status(404).send({ message: 'Unknown payment provider' });
+    }
+    if (!req.rawBody || !adapter.verifySignature(req)) {
+      return res.status(401).send({ message: 'Invalid signature' });
+    }
+
+    const event = adapter.parseEvent(req.body || {});
+    if (!event.type || !event.reference) {
+      return res.status(200).send({ message: 'Event ignored' });
+    }
+
+    const result = await applyPaymentEvent(req.params.provider, event);
+
+    // A reversed charge takes the tickets back without refunding them again
+    for (const ticketId of result.reversedTicketIds || []) {
+      await releaseTicket(ticketId, 'canceled', ticket => ticket.status === 'confirmed', { refund: false })
+        .then(promoteWaitlistAfterRelease);
+    }
+    if (result.paid) {
+      await sendPaymentReceipt(event.reference);
+    }
+    res.status(200).send({ message: result.duplicate ? 'Event already processed' : 'Event processed', status: result.status });
+  } catch (error) {
+    if (error.status) {
+      return handleError(res, error.status, error.message);
+    }
+    handleError(res, 500, 'Error processing payment event');
+  }
+});
+
+// Simulate the fake provider charging a pending payment, delivered through the signed webhook
+app.post('/api/payments/:id/simulate', authenticate(), requirePaymentOwner, async (req, res) => {
+  const { id } = req.params;
+  const { type = 'success', amount } = req.body;
+  if (!PAYMENT_PROVIDERS.fake.enabled()) {
+    return res.status(404).send({ message: 'The fake payment provider is not enabled' });
+  }
+
+  try {
+    const paymentDoc = await db.collection('payments').doc(id).get();
+    if (!paymentDoc.exists || paymentDoc.data().provider !== 'fake') {
+      return res.status(404).send({ message: 'Payment record not found' });
+    }
+
+    const payment = paymentDoc.data();
+    const payload = JSON.stringify({
+      id: crypto.randomUUID(),
+      type,
+      reference: id,
+      amount: amount === undefined ? payment.amount : amount,
+      currency: payment.currency,
+    });
+    const response = await fetch(`http://localhost:${port}/api/payments/webhook/fake`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Fake-Signature': PAYMENT_PROVIDERS.fake.sign(payload) },
+      body: payload,
+    });
+
+    res.status(response.status).send(await response.json());
+  } catch (error) {
+    res.status(500).send({ error: 'Error simulating payment' });
+  }
+});
+
+// Get a specific payment record by ID
+app.get('/api/payments/:id', authenticate(), requirePaymentOwner, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const paymentDoc = await db.collection('payments').doc(id).get();
+    if (!paymentDoc.exists) {
+      return res.status(404).send({ message: 'Payment record not found' });
+    }
+    res.status(200).send(paymentDoc.data());
+  } catch (error) {
+    res.status(500).send({ error: 'Error fetching payment record' });
+  }
+});
+
+// Download a payment's receipt as a PDF
+app.get('/api/payments/:id/receipt', authenticate(), requirePaymentOwner, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const paymentDoc = await db.collection('payments').doc(id).get();
+    if (!paymentDoc.exists) {
+      return res.status(404).send({ message: 'Payment record not found' });
+    }
+    if (!PAID_PAYMENT_STATUSES.includes(paymentDoc.data().status)) {
+      return res.status(409).send({ message: 'Receipts are only available for paid payments' });
+    }
+
+    sendPdf(res, `receipt-${id}.pdf`, await renderReceiptPdf(paymentDoc.data()));
+  } catch (error) {
+    res.status(500).send({ error: 'Error rendering receipt' });
+  }
+});
+
+// Update a specific payment record by ID
+app.put('/api/payments/:id', authenticate(), requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
+  try {
+    const previousStatus = await db.runTransaction(async (transaction) => {
+      const paymentRef = db.collection('payments').doc(id);
+      const paymentDoc = await transaction.get(paymentRef);
+
+      if (!paymentDoc.exists) {
+        throw httpError(404, 'Payment record not found');
+      }
+
+      const payment = paymentDoc.data();
+      if (payment.ticketId && status === 'paid') {
+        const ticketDoc = await transaction.get(db.collection('tickets').doc(payment.ticketId));
+        confirmTicketPayment(transaction, ticketDoc, payment);
+      }
+      if (payment.orderId && status === 'paid') {
+        const { orderDoc, ticketDocs } = await getOrderForPayment(transaction, payment.orderId);
+        confirmOrderPayment(transaction, orderDoc, ticketDocs, payment);
+      }
+
+      transaction.update(paymentRef, { status });
+      return payment.status;
+    });
+    if (status === 'paid' && previousStatus !== 'paid') {
+      await sendPaymentReceipt(id);
+    }
+    res.status(200).send({ message: 'Payment record updated successfully' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: 'Error updating payment record' });
+  }
+});
+
+// Delete a specific payment record by ID
+app.delete('/api/payments/:id', authenticate(), requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    await db.collection('payments').doc(id).delete();
+    res.status(200).send({ message: 'Payment record deleted successfully' });
+  } catch (error) {
+    res.status(500).send({ error: 'Error deleting payment record' });
+  }
+});
+
+// Get all payments for a specific user
+app.get('/api/payments/user/:userId', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
+  try {
+    const paymentSnapshot = await db.collection('payments').where('userId', '==', userId).get();
+    if (paymentSnapshot.empty) {
+      return res.status(404).send({ message: 'No payment records found for this user' });
+    }
+
+    const paymentList = [];
+    paymentSnapshot.forEach(doc => {
+      paymentList.push(doc.data());
+    });
+
+    res.status(200).send(paymentList);
+  } catch (error) {
+    res.status(500).send({ error: 'Error fetching payment records' });
+  }
+});
+
+
+// Get total revenue for a specific event
+app.get('/api/revenue/event/:eventId', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
+  try {
+    const paymentSnapshot = await db.collection('payments')
+      .where('eventId', '==', eventId)
+      .where('status', 'in', PAID_PAYMENT_STATUSES)
+      .get();
+    if (paymentSnapshot.empty) {
+      return res.status(404).send({ message: 'No payment records found for this event' });
+    }
+
+    const { grossRevenue, refundedAmount, netRevenue } = summarizePayments(paymentSnapshot.docs.map(doc => doc.data()));
+
+    res.status(200).send({ totalRevenue: netRevenue, grossRevenue, refundedAmount });
+  } catch (error) {
+    res.status(500).send({ error: 'Error fetching total revenue' });
+  }
+});
+
+
+// REFUND API ENDPOINTS
+// Get refunds for a specific payment
+app.get('/api/payments/:id/refunds', authenticate(), requirePaymentOwner, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const refundSnapshot = await db.collection('refunds').where('paymentId', '==', id).get();
+    res.status(200).send(refundSnapshot.docs.map(doc => doc.data()));
+  } catch (error) {
+    res.status(500).send({ error: 'Error fetching refunds' });
+  }
+});
+
+// Get refunds for a specific event
+app.get('/api/events/:eventId/refunds', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
+  try {
+    const refundSnapshot = await db.collection('refunds').where('eventId', '==', eventId).get();
+    res.status(200).send(refundSnapshot.docs.map(doc => doc.data()));
+  } catch (error) {
+    res.status(500).send({ error: 'Error fetching refunds' });
+  }
+});
+
+// Get an event's reminder schedule and which reminders have gone out
+app.get('/api/events/:eventId/reminders', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
+  try {
+    const eventDoc = await db.collection('events').doc(eventId).get();
+    if (!eventDoc.exists) {
+      return res.status(404).send({ message: 'Event not found' });
+    }
+
+    const remindersSent = eventDoc.data().remindersSent || {};
+    const now = new Date();
+    const schedule = await Promise.all(reminderSchedule(eventDoc.data()).map(async ({ slot, key, kind, sendAt, until }) => {
+      const deliveries = await db.collection('reminderDeliveries')
+        .where('eventId', '==', eventId)
+        .where('slotKey', '==', key)
+        .count()
+        .get();
+      let status = 'scheduled';
+      if (remindersSent[key]) {
+        status = 'sent';
+      } else if (now >= until) {
+        status = 'missed';
+      }
+      return { slot, kind, sendAt: sendAt.toISOString(), status, recipients: deliveries.data().count };
+    }));
+
+    res.status(200).send({ settings: eventDoc.data().reminders || null, schedule });
+  } catch (error) {
+    res.status(500).send({ error: 'Error fetching reminder schedule' });
+  }
+});
 
-    handleSuccess(res, {
-      totalRevenue,
-      totalSoldTickets,
-      totalEvents,
-      bestTicketType,
-      bestTicketTypeQuantity: ticketTypeCount[bestTicketType] || 0
+// Change when an event's reminders go out, or turn them off with enabled: false
+app.put('/api/events/:eventId/reminders', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
+  const { offsetsHours, followUpHours, enabled } = req.body;
+  if (offsetsHours !== undefined && !isValidReminderOffsets(offsetsHours)) {
+    return res.status(400).send({
+      message: `offsetsHours must be up to 5 numbers of hours, each more than 0 and at most ${MAX_REMINDER_OFFSET_HOURS}`,
     });
-  } catch (e) {
-    handleError(res, 500, 'An error occurred while retrieving KPIs for the organizer.');
+  }
+  if (followUpHours !== undefined && followUpHours !== null && (typeof followUpHours !== 'number' || followUpHours < 0)) {
+    return res.status(400).send({ message: 'followUpHours must be a number of hours, or null for no follow-up' });
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return res.status(400).send({ message: 'enabled must be true or false' });
+  }
+
+  try {
+    const reminders = Object.fromEntries(Object.entries({ offsetsHours, followUpHours, enabled })
+      .filter(([, value]) => value !== undefined));
+    await db.collection('events').doc(eventId).set({ reminders }, { merge: true });
+    res.status(200).send({ message: 'Reminder schedule updated successfully' });
+  } catch (error) {
+    res.status(500).send({ error: 'Error updating reminder schedule' });
   }
 });
 
+// Send an announcement to everyone holding a ticket for an event
+app.post('/api/events/:eventId/announcements', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
+  const { title, message } = req.body;
+  if (!title || !message) {
+    return res.status(400).send({ message: 'title and message are required' });
+  }
 
-// ATTENDANCE API ENDPOINTS
-// Create a new attendance record
-app.post('/api/attendance', async (req, res) => {
-  const { attendanceId, eventId, userId, timestamp, attendanceStatus, paymentStatus } = req.body;
   try {
-    await db.collection('attendances').doc(attendanceId).set({
-      attendanceId,
+    // `recipients` stays null until the notification job has reached everyone
+    const announcementRef = db.collection('announcements').doc();
+    await announcementRef.set({
+      announcementId: announcementRef.id,
       eventId,
-      userId,
-      timestamp: new Date(timestamp),
-      attendanceStatus,
-      paymentStatus,
+      title,
+      message,
+      senderId: req.user.uid,
+      recipients: null,
+      createdAt: FieldValue.serverTimestamp(),
     });
-    res.status(201).send({ message: 'Attendance record created successfully', attendanceId });
+    const jobId = await queueNotificationJob({ type: 'ticketHolders', eventId }, {
+      title,
+      message,
+      type: 'announcement',
+      eventId,
+      senderId: req.user.uid,
+    }, { announcementId: announcementRef.id });
+    res.status(202).send({ message: 'Announcement queued', announcementId: announcementRef.id, jobId });
   } catch (error) {
-    res.status(500).send({ error: 'Error creating attendance record: ' + error.message });
+    res.status(500).send({ error: 'Error sending announcement' });
   }
 });
 
-//create batch attendance with their attendndance ids
-app.post("/api/attendances/batch", async (req, res) => {
+// Get the announcements sent for an event
+app.get('/api/events/:eventId/announcements', authenticate(), requireEventOwner('eventId'), async (req, res) => {
+  const { eventId } = req.params;
   try {
-    const attendances = req.body;
-    const batch = db.batch();
-    attendances.forEach((attendance) => {
-      const attendanceRef = db.collection('attendances').doc();
-      batch.set(attendanceRef, {
-        ...attendance,
-        attendanceId: attendanceRef.id
-      });
-      
-    });
-    await batch.commit();
-    res.status(201).send({ message: 'Attendances created successfully' });
+    const announcementSnapshot = await db.collection('announcements')
+      .where('eventId', '==', eventId)
+      .orderBy('createdAt', 'desc')
+      .get();
+    res.status(200).send(announcementSnapshot.docs.map(doc => doc.data()));
   } catch (error) {
-    res.status(500).send({ error: 'Error creating attendances: ' + error.message });
+    res.status(500).send({ error: 'Error fetching announcements' });
   }
 });
 
-// Get a specific attendance record by ID
-app.get('/api/attendance/:id', async (req, res) => {
-  const { id } = req.params;
+// Update a refund's status once it has been paid out
+app.put('/api/refunds/:refundId', authenticate(), requireRole('admin'), async (req, res) => {
+  const { refundId } = req.params;
+  const { status } = req.body;
+  if (!['pending', 'processed', 'failed'].includes(status)) {
+    return res.status(400).send({ message: 'Invalid refund status' });
+  }
+
   try {
-    const attendanceDoc = await db.collection('attendances').doc(id).get();
-    if (!attendanceDoc.exists) {
-      return res.status(404).send({ message: 'Attendance record not found' });
+    const refundRef = db.collection('refunds').doc(refundId);
+    const refundDoc = await refundRef.get();
+    if (!refundDoc.exists) {
+      return res.status(404).send({ message: 'Refund record not found' });
     }
-    res.status(200).send(attendanceDoc.data());
+
+    await refundRef.update({ status, updatedAt: FieldValue.serverTimestamp() });
+    res.status(200).send({ message: 'Refund record updated successfully' });
   } catch (error) {
-    res.status(500).send({ error: 'Error fetching attendance record' });
+    res.status(500).send({ error: 'Error updating refund record' });
   }
 });
 
-// Update a specific attendance record by ID
-app.put('/api/attendance/:id', async (req, res) => {
-  const { id } = req.params;
-  const { attendanceStatus, paymentStatus } = req.body;
+
+
+// ** Middleware to allow only a notification's recipient or an admin ** //
+const requireNotificationOwner = async (req, res, next) => {
+  if (isAdmin(req)) {
+    return next();
+  }
+
   try {
-    await db.collection('attendances').doc(id).update({
-      attendanceStatus,
-      paymentStatus,
+    const notificationDoc = await db.collection('notifications').doc(req.params.notificationId).get();
+
+    if (!notificationDoc.exists) {
+      return res.status(404).send({ message: 'Notification not found' });
+    }
+    if (notificationDoc.data().userId !== req.user.uid) {
+      return res.status(403).send({ message: 'You can only access your own notifications' });
+    }
+    next();
+  } catch (e) {
+    res.status(500).send({ error: 'Error checking notification ownership' });
+  }
+};
+
+// send a notification to an audience
+// Organizers can reach the ticket holders, waitlist or fans of their own events; only admins can name users.
+app.post("/api/notifications", authenticate(), requireRole('organizer'), async (req, res) => {
+  const { title, message, type = 'announcement', eventId = null, audience } = req.body;
+  if (!title || !message || !audience || !NOTIFICATION_AUDIENCES.includes(audience.type)) {
+    return res.status(400).send({ message: `title, message and an audience of type ${NOTIFICATION_AUDIENCES.join(', ')} are required` });
+  }
+  if (audience.type === 'users' ? !Array.isArray(audience.userIds) : !audience.eventId) {
+    return res.status(400).send({ message: 'The audience is missing its userIds or eventId' });
+  }
+
+  try {
+    if (!isAdmin(req)) {
+      if (audience.type === 'users') {
+        return res.status(403).send({ message: 'Only admins can notify individual users' });
+      }
+      const eventDoc = await db.collection('events').doc(audience.eventId).get();
+      if (!eventDoc.exists || (eventDoc.data().organizer || {}).organizerId !== req.user.uid) {
+        return res.status(403).send({ message: 'You can only notify the audience of your own events' });
+      }
+    }
+
+    const jobId = await queueNotificationJob(audience, {
+      title,
+      message,
+      type,
+      eventId: eventId || audience.eventId || null,
+      senderId: req.user.uid,
     });
-    res.status(200).send({ message: 'Attendance record updated successfully' });
+    res.status(202).send({ message: 'Notification queued', jobId });
   } catch (error) {
-    res.status(500).send({ error: 'Error updating attendance record' });
+    res.status(500).send({ error: 'Error sending notification' });
   }
 });
 
-// Delete a specific attendance record by ID
-app.delete('/api/attendance/:id', async (req, res) => {
-  const { id } = req.params;
+// check how far a queued notification has got; only its sender and admins can see it
+app.get("/api/notifications/jobs/:jobId", authenticate(), async (req, res) => {
   try {
-    await db.collection('attendances').doc(id).delete();
-    res.status(200).send({ message: 'Attendance record deleted successfully' });
+    const jobDoc = await db.collection('notificationJobs').doc(req.params.jobId).get();
+
+    if (!jobDoc.exists) {
+      return res.status(404).send({ message: 'Notification job not found' });
+    }
+    if (!isAdmin(req) && jobDoc.data().senderId !== req.user.uid) {
+      return res.status(403).send({ message: 'You can only check notifications you sent' });
+    }
+    const { jobId, audience, status, attempts, recipients, lastError, announcementId } = jobDoc.data();
+    res.status(200).send({ jobId, audience, status, attempts, recipients, lastError: lastError || null, announcementId });
   } catch (error) {
-    res.status(500).send({ error: 'Error deleting attendance record' });
+    res.status(500).send({ error: 'Error getting notification job' });
   }
 });
 
+// send several notifications, each with its own userId
+app.post("/api/notifications/batch", authenticate(), requireRole('admin'), async (req, res) => {
+  const notifications = req.body;
+  if (!Array.isArray(notifications) || notifications.some(notification => !notification.userId || !notification.title)) {
+    return res.status(400).send({ message: 'Each notification needs a userId and a title' });
+  }
 
-// Get attendance list for a given event
-app.get('/api/attendance/event/:eventId', async (req, res) => {
-  const { eventId } = req.params;
   try {
-    const attendanceSnapshot = await db.collection('attendances').where('eventId', '==', eventId).get();
-    if (attendanceSnapshot.empty) {
-      return res.status(404).send({ message: 'No attendance records found for this event' });
+    const notificationIds = [];
+    for (const { userId, title, message = '', type = 'announcement', eventId = null } of notifications) {
+      notificationIds.push(await createNotification({ userId, title, message, type, eventId, senderId: req.user.uid }));
     }
+    res.status(201).send({ message: 'Batch notifications created successfully', notificationIds });
+  } catch (error) {
+    res.status(500).send({ error: 'Error creating notifications' });
+  }
+});
 
-    const attendanceList = [];
-    for (const doc of attendanceSnapshot.docs) {
-      const attendanceData = doc.data();
-      const userSnapshot = await db.collection('users').doc(attendanceData.userId).get();
-      if (!userSnapshot.exists) {
-        continue;
+// get a page of a user's notifications, newest first; pass nextCursor back as cursor for the next page
+app.get('/api/users/:userId/notifications', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
+  const { cursor, unread } = req.query;
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit <= 0 || limit > 100) {
+    return res.status(400).send({ message: 'Limit must be between 1 and 100' });
+  }
+
+  try {
+    let notificationQuery = db.collection('notifications').where('userId', '==', userId);
+    if (unread === 'true') {
+      notificationQuery = notificationQuery.where('read', '==', false);
+    }
+    notificationQuery = notificationQuery
+      .orderBy('createdAt', 'desc')
+      .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+
+    if (cursor) {
+      const cursorDoc = await db.collection('notifications').doc(String(cursor)).get();
+      if (!cursorDoc.exists || cursorDoc.data().userId !== userId) {
+        return res.status(400).send({ message: 'Invalid cursor' });
       }
-      const userData = userSnapshot.data();
-      attendanceList.push({
-        userId: userData.userId,
-        name: userData.name,
-        email: userData.email,
-        avatarUrl: userData.avatarUrl,
-        attendanceStatus: attendanceData.attendanceStatus,
-        paymentStatus: attendanceData.paymentStatus,
-      });
+      notificationQuery = notificationQuery.startAfter(cursorDoc);
     }
 
-    res.status(200).send(attendanceList);
+    const notificationSnapshot = await notificationQuery.limit(limit + 1).get();
+    const pageDocs = notificationSnapshot.docs.slice(0, limit);
+    res.status(200).send({
+      notifications: pageDocs.map(doc => doc.data()),
+      nextCursor: notificationSnapshot.size > limit ? pageDocs[pageDocs.length - 1].id : null,
+    });
   } catch (error) {
-    res.status(500).send({ error: 'Error fetching attendance list: ' + error.message });
+    res.status(500).send({ error: 'Error fetching notifications' });
   }
 });
 
-
-
-// PAYMENT API ENDPOINTS
-// Create a new ticket payment record
-app.post('/api/payments', async (req, res) => {
-  const { paymentId, userId, eventId, amount, status, paymentType } = req.body;
-  if(!paymentId || !userId || !eventId || !amount || !status || !paymentType) {
-    return res.status(400).send({ message: 'Missing required fields' });
-  }
-  
+// count a user's unread notifications
+app.get('/api/users/:userId/notifications/unreadCount', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
   try {
-    await db.collection('payments').doc(paymentId).set({
-      paymentId,
-      userId,
-      eventId,
-      amount,
-      status,
-      paymentType,
-      timestamp: FieldValue.serverTimestamp(),
-    });
-    res.status(201).send({ message: 'Payment record created successfully' });
+    const countSnapshot = await db.collection('notifications')
+      .where('userId', '==', userId)
+      .where('read', '==', false)
+      .count()
+      .get();
+    res.status(200).send({ count: countSnapshot.data().count });
   } catch (error) {
-    res.status(500).send({ error: 'Error creating payment record, : ' + error.message });
+    res.status(500).send({ error: 'Error counting notifications' });
   }
 });
 
-
-// create batch payments
-app.post("/api/payments/batch", async (req, res) => {
+// mark every unread notification of a user as read
+app.post('/api/users/:userId/notifications/readAll', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
   try {
-    const payments = req.body;
-    const batch = db.batch();
-    payments.forEach((payment) => {
-      const paymentRef = db
-        .collection("payments")
-        .doc(payment.paymentId);
-      batch.set(paymentRef, payment);
-    });
+    const notificationSnapshot = await db.collection('notifications')
+      .where('userId', '==', userId)
+      .where('read', '==', false)
+      .get();
 
-    await batch.commit();
-    res.status(201).send("Batch payments created successfully");
+    for (let i = 0; i < notificationSnapshot.docs.length; i += 500) {
+      const batch = db.batch();
+      notificationSnapshot.docs.slice(i, i + 500).forEach(doc => batch.update(doc.ref, { read: true }));
+      await batch.commit();
+    }
+    res.status(200).send({ message: 'Notifications marked as read', updated: notificationSnapshot.size });
   } catch (error) {
-    handleError(res, error);
+    res.status(500).send({ error: 'Error updating notifications' });
   }
 });
 
-// Get a specific payment record by ID
-app.get('/api/payments/:id', async (req, res) => {
-  const { id } = req.params;
+// mark a notification as read or unread
+app.put('/api/notifications/:notificationId/read', authenticate(), requireNotificationOwner, async (req, res) => {
+  const { notificationId } = req.params;
+  const { read = true } = req.body;
+  if (typeof read !== 'boolean') {
+    return res.status(400).send({ message: 'read must be true or false' });
+  }
+
   try {
-    const paymentDoc = await db.collection('payments').doc(id).get();
-    if (!paymentDoc.exists) {
-      return res.status(404).send({ message: 'Payment record not found' });
-    }
-    res.status(200).send(paymentDoc.data());
+    await db.collection('notifications').doc(notificationId).update({ read });
+    res.status(200).send({ message: `Notification marked as ${read ? 'read' : 'unread'}` });
   } catch (error) {
-    res.status(500).send({ error: 'Error fetching payment record' });
+    res.status(500).send({ error: 'Error updating notification' });
   }
 });
 
-// Update a specific payment record by ID
-app.put('/api/payments/:id', async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
+// delete a notification from the inbox
+app.delete('/api/notifications/:notificationId', authenticate(), requireNotificationOwner, async (req, res) => {
+  const { notificationId } = req.params;
   try {
-    await db.collection('payments').doc(id).update({
-      status,
-    });
-    res.status(200).send({ message: 'Payment record updated successfully' });
+    await db.collection('notifications').doc(notificationId).delete();
+    res.status(200).send({ message: 'Notification deleted successfully' });
   } catch (error) {
-    res.status(500).send({ error: 'Error updating payment record' });
+    res.status(500).send({ error: 'Error deleting notification' });
   }
 });
 
-// Delete a specific payment record by ID
-app.delete('/api/payments/:id', async (req, res) => {
-  const { id } = req.params;
+// get a user's notification channel preferences
+app.get('/api/users/:userId/notificationPreferences', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
   try {
-    await db.collection('payments').doc(id).delete();
-    res.status(200).send({ message: 'Payment record deleted successfully' });
+    const userDoc = await db.collection('users').doc(userId).get();
+    const preferences = userDoc.exists ? userDoc.data().notificationPreferences || {} : {};
+    res.status(200).send({ ...DEFAULT_NOTIFICATION_PREFERENCES, types: {}, ...preferences });
   } catch (error) {
-    res.status(500).send({ error: 'Error deleting payment record' });
+    res.status(500).send({ error: 'Error fetching notification preferences' });
   }
 });
 
-// Get all payments for a specific user
-app.get('/api/payments/user/:userId', async (req, res) => {
+// update a user's notification channel preferences
+app.put('/api/users/:userId/notificationPreferences', authenticate(), requireSelf('userId'), async (req, res) => {
   const { userId } = req.params;
+  const { types = {}, ...channels } = req.body;
+  const isChannelMap = value => value && typeof value === 'object'
+    && Object.entries(value).every(([channel, enabled]) => NOTIFICATION_CHANNELS.includes(channel) && typeof enabled === 'boolean');
+  if (!isChannelMap(channels) || !types || typeof types !== 'object' || !Object.values(types).every(isChannelMap)) {
+    return res.status(400).send({ message: `Preferences must map ${NOTIFICATION_CHANNELS.join(' and ')} to true or false` });
+  }
+
   try {
-    const paymentSnapshot = await db.collection('payments').where('userId', '==', userId).get();
-    if (paymentSnapshot.empty) {
-      return res.status(404).send({ message: 'No payment records found for this user' });
-    }
+    await db.collection('users').doc(userId).set({ notificationPreferences: { ...channels, types } }, { merge: true });
+    res.status(200).send({ message: 'Notification preferences updated successfully' });
+  } catch (error) {
+    res.status(500).send({ error: 'Error updating notification preferences' });
+  }
+});
 
-    const paymentList = [];
-    paymentSnapshot.forEach(doc => {
-      paymentList.push(doc.data());
-    });
+// register a device for push notifications
+app.post('/api/users/:userId/pushTokens', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
+  const { token } = req.body;
+  if (typeof token !== 'string' || !token) {
+    return res.status(400).send({ message: 'A push token is required' });
+  }
 
-    res.status(200).send(paymentList);
+  try {
+    await db.collection('users').doc(userId).set({ pushTokens: FieldValue.arrayUnion(token) }, { merge: true });
+    res.status(201).send({ message: 'Push token registered successfully' });
   } catch (error) {
-    res.status(500).send({ error: 'Error fetching payment records' });
+    res.status(500).send({ error: 'Error registering push token' });
+  }
+});
+
+// forget a device, e.g. on sign out
+app.delete('/api/users/:userId/pushTokens/:token', authenticate(), requireSelf('userId'), async (req, res) => {
+  const { userId, token } = req.params;
+  try {
+    await db.collection('users').doc(userId).set({ pushTokens: FieldValue.arrayRemove(token) }, { merge: true });
+    res.status(200).send({ message: 'Push token removed successfully' });
+  } catch (error) {
+    res.status(500).send({ error: 'Error removing push token' });
   }
 });
 
+// ** Helper to count a hit against a fixed-window rate limit ** //
+// Returns how many seconds to wait when `limit` hits have already been counted in the current window.
+const hitRateLimit = (name, key, limit, windowMinutes) => db.runTransaction(async (transaction) => {
+  const windowMs = windowMinutes * 60 * 1000;
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const limitRef = db.collection('rateLimits')
+    .doc(crypto.createHash('sha256').update(`${name}:${key}:${windowStart}`).digest('hex'));
+  const limitDoc = await transaction.get(limitRef);
+  const count = limitDoc.exists ? limitDoc.data().count : 0;
+
+  if (count >= limit) {
+    return Math.ceil((windowStart + windowMs - Date.now()) / 1000);
+  }
 
-// Get total revenue for a specific event
-app.get('/api/revenue/event/:eventId', async (req, res) => {
-  const { eventId } = req.params;
+  transaction.set(limitRef, {
+    name,
+    count: count + 1,
+    expiresAt: admin.firestore.Timestamp.fromMillis(windowStart + windowMs),
+  });
+  return 0;
+});
+
+// ** Helper to check several rate limits at once, responding 429 when any of them is used up ** //
+const checkRateLimits = async (res, limits) => {
+  const waits = await Promise.all(limits.map(([name, key, limit]) => hitRateLimit(
+    name, key, limit, config.verificationRateWindowMinutes,
+  )));
+  const retryAfter = Math.max(...waits);
+
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).send({ message: 'Too many attempts, please try again later', success: false });
+    return false;
+  }
+  return true;
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const hashVerificationCode = (salt, code) => crypto.createHash('sha256').update(`${salt}:${code}`).digest('hex');
+
+// send the signed-in user a verification code for their email address
+// The server makes the code and keeps only its salted hash, so the client never learns it before the user does.
+app.post("/api/verify", authenticate(), async (req, res) => {
   try {
-    const paymentSnapshot = await db.collection('payments').where('eventId', '==', eventId).where('status', '==', 'paid').get();
-    if (paymentSnapshot.empty) {
-      return res.status(404).send({ message: 'No payment records found for this event' });
+    const userDoc = await db.collection('users').doc(req.user.uid).get();
+    const email = normalizeEmail(req.body.email || (userDoc.exists && userDoc.data().email) || req.user.email);
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+      return res.status(400).send({ message: 'A valid email address is required', success: false });
     }
 
-    let totalRevenue = 0;
-    paymentSnapshot.forEach(doc => {
-      totalRevenue += doc.data().amount;
+    if (!await checkRateLimits(res, [
+      ['verifySend', email, config.verificationSendsPerEmail],
+      ['verifySendIp', req.ip, config.verificationSendsPerIp],
+    ])) {
+      return;
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const salt = crypto.randomBytes(16).toString('hex');
+    await db.collection('emailVerifications').doc(req.user.uid).set({
+      userId: req.user.uid,
+      email,
+      salt,
+      codeHash: hashVerificationCode(salt, code),
+      attempts: 0,
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + config.verificationCodeMinutes * 60 * 1000),
+      createdAt: FieldValue.serverTimestamp(),
     });
 
-    res.status(200).send({ totalRevenue });
+    await queueEmail('verification', email, { code, minutes: config.verificationCodeMinutes });
+    return res.status(201).send({
+      message: "Email sent successfully", success: true});
   } catch (error) {
-    res.status(500).send({ error: 'Error fetching total revenue' });
+    res.status(500).send({ error: 'Error sending verification email' });
   }
 });
 
+// check a verification code and mark the user's email address as verified
+// The attempt limit is checked and counted in one transaction, so parallel guesses can't slip past it.
+app.post("/api/verify/confirm", authenticate(), async (req, res) => {
+  const code = String(req.body.code || '').trim();
+  try {
+    const verificationRef = db.collection('emailVerifications').doc(req.user.uid);
+    const { outcome, email } = await db.runTransaction(async (transaction) => {
+      const verificationDoc = await transaction.get(verificationRef);
+      if (!verificationDoc.exists) {
+        return { outcome: 'missing' };
+      }
+
+      const verification = verificationDoc.data();
+      if (verification.expiresAt.toMillis() < Date.now()) {
+        return { outcome: 'expired' };
+      }
+      if (verification.attempts >= config.verificationMaxAttempts) {
+        return { outcome: 'locked' };
+      }
 
+      if (!signaturesMatch(verification.codeHash, hashVerificationCode(verification.salt, code))) {
+        transaction.update(verificationRef, { attempts: verification.attempts + 1 });
+        return { outcome: 'wrong', email: verification.email };
+      }
 
-// create notifications
-app.post("/api/notifications", async (req, res) => {
-  try {
-    const notificationData = req.body;
-    await db
-      .collection("notifications")
-      .doc(notificationData.notification_id)
-      .set(notificationData);
-    res.status(201).send("Notification created successfully");
+      transaction.set(db.collection('users').doc(req.user.uid), {
+        email: verification.email,
+        emailVerified: true,
+        emailVerifiedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      transaction.delete(verificationRef);
+      return { outcome: 'verified' };
+    });
+
+    if (outcome === 'missing') {
+      return res.status(404).send({ message: 'No verification code has been sent', success: false });
+    }
+    if (outcome === 'expired') {
+      return res.status(410).send({ message: 'Verification code has expired', success: false });
+    }
+    if (outcome === 'locked') {
+      return res.status(429).send({ message: 'Too many wrong codes, request a new one', success: false });
+    }
+    if (outcome === 'wrong') {
+      if (!await checkRateLimits(res, [
+        ['verifyFail', email, config.verificationFailuresPerEmail],
+        ['verifyFailIp', req.ip, config.verificationFailuresPerIp],
+      ])) {
+        return;
+      }
+      return res.status(400).send({ message: 'Invalid verification code', success: false });
+    }
+
+    res.status(200).send({ message: 'Email verified successfully', success: true });
   } catch (error) {
-    handleError(res, error);
+    res.status(500).send({ error: 'Error confirming verification code' });
   }
 });
 
-// Create batch notifications
-app.post("/api/notifications/batch", async (req, res) => {
+// list queued, sent or failed emails and their delivery status
+app.get('/api/mail', authenticate(), requireRole('admin'), async (req, res) => {
   try {
-    const notifications = req.body;
-    const batch = db.batch();
-    notifications.forEach((notification) => {
-      const notificationRef = db
-        .collection("notifications")
-        .doc(notification.notification_id);
-      batch.set(notificationRef, notification);
-    });
-
-    await batch.commit();
-    res.status(201).send("Batch notifications created successfully");
+    let query = db.collection('mailQueue');
+    if (req.query.status) {
+      query = query.where('status', '==', req.query.status);
+    }
+    const mailSnapshot = await query.orderBy('createdAt', 'desc').limit(100).get();
+    res.status(200).send(mailSnapshot.docs.map(doc => doc.data()));
   } catch (error) {
-    handleError(res, error);
+    res.status(500).send({ error: 'Error fetching mail queue' });
   }
 });
 
-// send an email to a user for verification
-app.post("/api/verify", async (req, res) => {
+// send a failed email again
+app.post('/api/mail/:mailId/retry', authenticate(), requireRole('admin'), async (req, res) => {
+  const { mailId } = req.params;
   try {
-    const message = req.body;
-    const transporter = nodemailer.createTransport({
-      host: "smtp.gmail.com",
-      port: 587,
-      secure: false,
-      auth: {
-        user: "junioratta2929@gmail.com",
-        pass: "jvbsyhzavpfmbqdj",
-      },
-    });
-    // Email details
-    let mailOptions = {
-      from: "ticketron<noreply@ticketron.com>",
-      to: message?.email,
-      subject: "Ticketron Organizer Account Email Verification",
-      text: `Please this is your ticketron account email verification code: ${message?.verificationCode} , do not share it with anyone else.`,
-    };
-    let info = await transporter.sendMail(mailOptions);
-    console.log("Email sent: " + info.response);
-    return res.status(201).send({
-      message: "Email sent successfully", success: true});
+    const mailRef = db.collection('mailQueue').doc(mailId);
+    const mailDoc = await mailRef.get();
+    if (!mailDoc.exists) {
+      return res.status(404).send({ message: 'Email not found' });
+    }
+    if (mailDoc.data().status !== 'failed') {
+      return res.status(409).send({ message: 'Only failed emails can be retried' });
+    }
+
+    await mailRef.update({ status: 'queued', attempts: 0 });
+    const sent = await deliverEmail(mailRef);
+    res.status(200).send({ message: sent ? 'Email sent successfully' : 'Email queued for another attempt' });
   } catch (error) {
-    handleError(res, error);
+    res.status(500).send({ error: 'Error retrying email' });
   }
 });
 
@@ -1018,7 +6854,7 @@ const { video } = new Mux(
 
 
 // Endpoint to start a livestream
-app.post('/livestreams/start', async (req, res) => {
+app.post('/livestreams/start', authenticate(), requireRole('organizer'), async (req, res) => {
   try {
     const {  playback_policy = 'public' } = req.body;
     const newStream = await video.liveStreams.create({
@@ -1034,7 +6870,7 @@ app.post('/livestreams/start', async (req, res) => {
 });
 
 // Endpoint to get a list of livestreams
-app.get('/livestreams', async (req, res) => {
+app.get('/livestreams', authenticate(), async (req, res) => {
   try {
     const livestreams = await video.liveStreams.list();
     res.status(200).json(livestreams);
@@ -1044,7 +6880,7 @@ app.get('/livestreams', async (req, res) => {
 });
 
 // Endpoint to get livestream details
-app.get('/livestreams/:id', async (req, res) => {
+app.get('/livestreams/:id', authenticate(), async (req, res) => {
   try {
     const livestreamId = req.params.id;
     const livestream = await video.liveStreams.retrieve(livestreamId);
@@ -1056,7 +6892,7 @@ app.get('/livestreams/:id', async (req, res) => {
 });
 
 // Endpoint to end a livestream
-app.post('/livestreams/:id/end', async (req, res) => {
+app.post('/livestreams/:id/end', authenticate(), requireRole('organizer'), async (req, res) => {
   try {
     const livestreamId = req.params.id;
     await video.liveStreams.disable(livestreamId);
@@ -1066,7 +6902,24 @@ app.post('/livestreams/:id/end', async (req, res) => {
   }
 });
 
-// Start server
-app.listen(port, "0.0.0.0" ,() => {
-  console.log(`Server running at http://localhost:${port}`);
-});
+// The sweep and the listener only start when this file is run, so tests can require its helpers
+if (require.main === module) {
+  // Expire unpaid checkout holds, unused waitlist offers, old idempotency keys and rate limits,
+  // retry queued mail and notification jobs and send event reminders that are due
+  setInterval(() => {
+    expireCheckoutHolds().catch((error) => console.error('Error expiring checkout holds:', error));
+    expireWaitlistOffers().catch((error) => console.error('Error expiring waitlist offers:', error));
+    expireIdempotencyKeys().catch((error) => console.error('Error expiring idempotency keys:', error));
+    expireRateLimits().catch((error) => console.error('Error expiring rate limits:', error));
+    processMailQueue().catch((error) => console.error('Error processing mail queue:', error));
+    processNotificationJobs().catch((error) => console.error('Error processing notification jobs:', error));
+    sendDueReminders().catch((error) => console.error('Error sending event reminders:', error));
+  }, config.holdSweepIntervalSeconds * 1000);
+
+  // Start server
+  app.listen(port, "0.0.0.0" ,() => {
+    console.log(`Server running at http://localhost:${port}`);
+  });
+}
+
+module.exports = { app, renderPdf, renderTicketsPdf, drawReceipt };
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { db, startServer } = require('./helpers/server');
+
+const EVENT_ID = 'event-1';
+const OWNER = ['org-1', 'organizer'];
+const OTHER_ORGANIZER = ['org-2', 'organizer'];
+const HOLDER = ['ama', 'attendee'];
+const SCANNER = ['scan-1', 'scanner'];
+
+let server;
+let ticket;
+
+const eventBody = {
+  title: 'Harbour Lights',
+  date: '2030-05-01',
+  time: '19:00',
+  location: 'Accra Mall',
+  price: { general: 50 },
+  description: 'An evening of music by the water.',
+  agenda: [],
+  images: [],
+  category: 'music',
+  totalCapacityNeeded: 100,
+};
+
+test.before(async () => {
+  await Promise.all(['ama', 'kofi', 'org-1', 'org-2', 'scan-1'].map(userId => db.collection('users').doc(userId).set({
+    name: userId,
+    email: `${userId}@example.com`,
+  })));
+  await db.collection('events').doc(EVENT_ID).set({
+    ...eventBody,
+    eventId: EVENT_ID,
+    ticketsLeft: 10,
+    ticketsSold: 0,
+    organizer: { organizerId: 'org-1' },
+  });
+  server = await startServer();
+
+  const bought = await server.request('POST', '/api/tickets/buy', {
+    as: HOLDER,
+    body: { eventId: EVENT_ID, userId: 'ama', seat: 'Standing', ticketType: 'general', quantity: 1 },
+  });
+  assert.strictEqual(bought.status, 200, bought.text);
+  ticket = bought.body.data;
+});
+
+test.after(() => server.close());
+
+test('requests without a valid test token are turned away', async () => {
+  assert.strictEqual((await server.request('POST', '/api/events', { body: eventBody })).status, 401);
+
+  // Test tokens only count when NODE_ENV is 'test'
+  process.env.NODE_ENV = 'development';
+  try {
+    assert.strictEqual((await server.request('GET', `/api/tickets/${ticket.ticketId}`, { as: HOLDER })).status, 401);
+  } finally {
+    process.env.NODE_ENV = 'test';
+  }
+});
+
+test('only organizers create events, and only their own events can be changed', async () => {
+  assert.strictEqual((await server.request('POST', '/api/events', { as: HOLDER, body: { ...eventBody, ticketsLeft: 5 } })).status, 403);
+
+  const created = await server.request('POST', '/api/events', { as: OTHER_ORGANIZER, body: { ...eventBody, ticketsLeft: 5 } });
+  assert.strictEqual(created.status, 201, created.text);
+  assert.strictEqual((await db.collection('events').doc(created.body.id).get()).data().organizer.organizerId, 'org-2');
+
+  assert.strictEqual((await server.request('PUT', `/api/events/${EVENT_ID}`, { as: OTHER_ORGANIZER, body: eventBody })).status, 403);
+  assert.strictEqual((await server.request('DELETE', `/api/events/${EVENT_ID}`, { as: OTHER_ORGANIZER })).status, 403);
+});
+
+test('event updates keep the fields the server manages', async () => {
+  const updated = await server.request('PUT', `/api/events/${EVENT_ID}`, {
+    as: OWNER,
+    body: { ...eventBody, title: 'Harbour Lights Live', ticketsLeft: 999, scannerIds: ['kofi'], status: 'canceled' },
+  });
+  assert.strictEqual(updated.status, 200, updated.text);
+
+  const event = (await db.collection('events').doc(EVENT_ID).get()).data();
+  assert.strictEqual(event.title, 'Harbour Lights Live');
+  assert.strictEqual(event.ticketsLeft, 9);
+  assert.strictEqual(event.scannerIds, undefined);
+  assert.strictEqual(event.status, undefined);
+});
+
+test('tickets are visible to their holder and the event organizer only', async () => {
+  const path = `/api/tickets/${ticket.ticketId}`;
+
+  assert.strictEqual((await server.request('GET', path, { as: HOLDER })).status, 200);
+  assert.strictEqual((await server.request('GET', path, { as: ['kofi', 'attendee'] })).status, 403);
+  assert.strictEqual((await server.request('GET', `${path}/pdf`, { as: OTHER_ORGANIZER })).status, 403);
+  assert.strictEqual((await server.request('DELETE', path, { as: OTHER_ORGANIZER })).status, 403);
+});
+
+test('scanners can only check tickets for events they are assigned to', async () => {
+  const verify = () => server.request('POST', '/api/tickets/verify/qrcode', {
+    as: SCANNER,
+    body: { eventId: EVENT_ID, qrcode: ticket.qrcode },
+  });
+  assert.strictEqual((await verify()).status, 403);
+
+  const denied = await server.request('PUT', `/api/events/${EVENT_ID}/scanners`, { as: SCANNER, body: { scannerIds: ['scan-1'] } });
+  assert.strictEqual(denied.status, 403);
+
+  const assigned = await server.request('PUT', `/api/events/${EVENT_ID}/scanners`, { as: OWNER, body: { scannerIds: ['scan-1'] } });
+  assert.strictEqual(assigned.status, 200, assigned.text);
+
+  const verified = await verify();
+  assert.strictEqual(verified.status, 200, verified.text);
+  assert.strictEqual(verified.body.data.ticketId, ticket.ticketId);
+});
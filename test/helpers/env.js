@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// index.js initializes Firebase and Mux and reads its config when it loads, so the environment is set
+// first. Neither service is contacted; values already set in the environment win.
+const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticketron-mail-'));
+process.on('exit', () => fs.rmSync(mailDir, { recursive: true, force: true }));
+
+const defaults = {
+  NODE_ENV: 'test',
+  PROJECT_ID: 'ticketron-test',
+  CLIENT_EMAIL: 'test@ticketron-test.iam.gserviceaccount.com',
+  PRIVATE_KEY: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  MUX_TOKEN_ID: 'test',
+  MUX_TOKEN_SECRET: 'test',
+  AUTH_TEST_SECRET: 'test-auth-secret',
+  PAYMENT_PROVIDER: 'fake',
+  FAKE_PAYMENT_SECRET: 'test-payment-secret',
+  TICKET_SIGNING_KEYS: JSON.stringify({ test: 'test-ticket-secret' }),
+  TICKET_SIGNING_KEY_VERSION: 'test',
+  MAIL_TRANSPORT: 'file',
+  MAIL_FILE_DIR: mailDir,
+  PUSH_TRANSPORT: 'stub',
+};
+
+Object.entries(defaults).forEach(([name, value]) => {
+  if (process.env[name] === undefined) {
+    process.env[name] = value;
+  }
+});
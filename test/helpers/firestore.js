@@ -0,0 +1,584 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { FieldPath, FieldValue, Timestamp } = require('firebase-admin/firestore');
+
+// An in-memory stand-in for the parts of the Firestore API the server uses, so route tests run without a
+// project or the emulator. Documents are kept by path; writes apply FieldValue sentinels the way Firestore
+// does, and transactions buffer their writes and retry when a document they read changes underneath them.
+
+const DOCUMENT_ID = FieldPath.documentId();
+
+const firestoreError = (code, message) => Object.assign(new Error(message), { code });
+
+const isMap = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Timestamp) && !(value instanceof Date) && !(value instanceof FieldValue)
+  && !Buffer.isBuffer(value);
+
+// Copies a stored value so callers never share objects with the store
+const clone = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isMap(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+// Turns a written value into what Firestore would store: Dates become Timestamps, undefined is refused
+const toStored = (value) => {
+  if (value === undefined) {
+    throw new Error('Cannot use "undefined" as a Firestore value.');
+  }
+  if (value instanceof Date) {
+    return Timestamp.fromDate(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toStored);
+  }
+  if (isMap(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toStored(item)]));
+  }
+  return value;
+};
+
+// Firestore orders values of different types by type first
+const typeRank = (value) => {
+  if (value === null) {
+    return 0;
+  }
+  if (typeof value === 'boolean') {
+    return 1;
+  }
+  if (typeof value === 'number') {
+    return 2;
+  }
+  if (value instanceof Timestamp) {
+    return 3;
+  }
+  if (typeof value === 'string') {
+    return 4;
+  }
+  return Array.isArray(value) ? 5 : 6;
+};
+
+const compareValues = (a, b) => {
+  const rankDifference = typeRank(a) - typeRank(b);
+  if (rankDifference !== 0) {
+    return rankDifference;
+  }
+  if (a instanceof Timestamp) {
+    return a.toMillis() - b.toMillis();
+  }
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+      const difference = compareValues(a[i], b[i]);
+      if (difference !== 0) {
+        return difference;
+      }
+    }
+    return a.length - b.length;
+  }
+  if (isMap(a)) {
+    return compareValues(JSON.stringify(Object.entries(a).sort()), JSON.stringify(Object.entries(b).sort()));
+  }
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+};
+
+const valuesEqual = (a, b) => compareValues(a, b) === 0;
+
+const fieldValue = (data, field, id) => {
+  if (field instanceof FieldPath && field.isEqual(DOCUMENT_ID)) {
+    return id;
+  }
+  return String(field).split('.').reduce((value, key) => (isMap(value) ? value[key] : undefined), data);
+};
+
+const applySentinel = (target, key, sentinel) => {
+  const current = target[key];
+  switch (sentinel.methodName) {
+    case 'FieldValue.serverTimestamp':
+      target[key] = Timestamp.now();
+      break;
+    case 'FieldValue.increment':
+      target[key] = (typeof current === 'number' ? current : 0) + sentinel.operand;
+      break;
+    case 'FieldValue.arrayUnion': {
+      const items = Array.isArray(current) ? [...current] : [];
+      sentinel.elements.forEach((element) => {
+        if (!items.some(item => valuesEqual(item, element))) {
+          items.push(toStored(element));
+        }
+      });
+      target[key] = items;
+      break;
+    }
+    case 'FieldValue.arrayRemove':
+      target[key] = (Array.isArray(current) ? current : [])
+        .filter(item => !sentinel.elements.some(element => valuesEqual(item, element)));
+      break;
+    case 'FieldValue.delete':
+      delete target[key];
+      break;
+    default:
+      throw new Error(`Unsupported field value ${sentinel.methodName}`);
+  }
+};
+
+// Writes `data` into `target`; with `merge`, nested maps are merged instead of replaced
+const writeFields = (target, data, merge) => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value instanceof FieldValue) {
+      applySentinel(target, key, value);
+    } else if (isMap(value)) {
+      const nested = merge && isMap(target[key]) ? target[key] : {};
+      target[key] = nested;
+      writeFields(nested, value, merge);
+    } else {
+      target[key] = toStored(value);
+    }
+  });
+  return target;
+};
+
+// `update` takes dotted field paths and replaces whole maps at the end of each path
+const updateFields = (target, data) => {
+  Object.entries(data).forEach(([path, value]) => {
+    const keys = String(path).split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      if (!isMap(node[key])) {
+        node[key] = {};
+      }
+      return node[key];
+    }, target);
+    if (value instanceof FieldValue) {
+      applySentinel(parent, last, value);
+    } else {
+      parent[last] = isMap(value) ? writeFields({}, value, false) : toStored(value);
+    }
+  });
+  return target;
+};
+
+const autoId = () => crypto.randomBytes(15).toString('base64url').replace(/[-_]/g, 'x').slice(0, 20);
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this.storedData = data;
+  }
+
+  data() {
+    return this.exists ? clone(this.storedData) : undefined;
+  }
+
+  get(field) {
+    return this.exists ? clone(fieldValue(this.storedData, field, this.id)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(firestore, path) {
+    this.firestore = firestore;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this.firestore, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(name) {
+    return new CollectionReference(this.firestore, `${this.path}/${name}`);
+  }
+
+  isEqual(other) {
+    return other instanceof DocumentReference && other.path === this.path;
+  }
+
+  async get() {
+    return this.firestore.snapshot(this);
+  }
+
+  async set(data, options) {
+    return this.firestore.batch().set(this, data, options).commit();
+  }
+
+  async update(data) {
+    return this.firestore.batch().update(this, data).commit();
+  }
+
+  async create(data) {
+    return this.firestore.batch().create(this, data).commit();
+  }
+
+  async delete() {
+    return this.firestore.batch().delete(this).commit();
+  }
+}
+
+class Query {
+  constructor(firestore, path, options = {}) {
+    this.firestore = firestore;
+    this.path = path;
+    this.filters = options.filters || [];
+    this.orders = options.orders || [];
+    this.limitCount = options.limitCount;
+    this.offsetCount = options.offsetCount || 0;
+    this.cursor = options.cursor || null;
+  }
+
+  with(changes) {
+    return new Query(this.firestore, this.path, {
+      filters: this.filters,
+      orders: this.orders,
+      limitCount: this.limitCount,
+      offsetCount: this.offsetCount,
+      cursor: this.cursor,
+      ...changes,
+    });
+  }
+
+  where(field, op, value) {
+    return this.with({ filters: [...this.filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this.with({ orders: [...this.orders, { field, direction }] });
+  }
+
+  limit(limitCount) {
+    return this.with({ limitCount });
+  }
+
+  offset(offsetCount) {
+    return this.with({ offsetCount });
+  }
+
+  startAfter(...values) {
+    const [first] = values;
+    return this.with({
+      cursor: first instanceof DocumentSnapshot
+        ? { values: this.orders.map(({ field }) => first.get(field)), id: first.id }
+        : { values, id: null },
+    });
+  }
+
+  matches(id, data) {
+    return this.filters.every(({ field, op, value }) => {
+      const actual = fieldValue(data, field, id);
+      const expected = field instanceof FieldPath && field.isEqual(DOCUMENT_ID)
+        ? [].concat(value).map(item => (item instanceof DocumentReference ? item.id : item))
+        : [].concat(value);
+      if (actual === undefined) {
+        return false;
+      }
+      switch (op) {
+        case '==':
+          return valuesEqual(actual, value);
+        case '!=':
+          return actual !== null && !valuesEqual(actual, value);
+        case '<':
+        case '<=':
+        case '>':
+        case '>=': {
+          if (typeRank(actual) !== typeRank(value)) {
+            return false;
+          }
+          const difference = compareValues(actual, value);
+          return { '<': difference < 0, '<=': difference <= 0, '>': difference > 0, '>=': difference >= 0 }[op];
+        }
+        case 'in':
+          return expected.some(item => valuesEqual(actual, item));
+        case 'not-in':
+          return actual !== null && !expected.some(item => valuesEqual(actual, item));
+        case 'array-contains':
+          return Array.isArray(actual) && actual.some(item => valuesEqual(item, value));
+        case 'array-contains-any':
+          return Array.isArray(actual) && actual.some(item => value.some(other => valuesEqual(item, other)));
+        default:
+          throw new Error(`Unsupported query operator ${op}`);
+      }
+    });
+  }
+
+  // Orders by each `orderBy` in turn and then by document ID, like Firestore
+  compareDocs(a, b) {
+    for (const { field, direction } of this.orders) {
+      const difference = compareValues(fieldValue(a.data, field, a.id), fieldValue(b.data, field, b.id));
+      if (difference !== 0) {
+        return direction === 'desc' ? -difference : difference;
+      }
+    }
+    const lastDirection = this.orders.length > 0 ? this.orders[this.orders.length - 1].direction : 'asc';
+    const difference = compareValues(a.id, b.id);
+    return lastDirection === 'desc' ? -difference : difference;
+  }
+
+  isAfterCursor(entry) {
+    for (let i = 0; i < this.cursor.values.length; i += 1) {
+      const { field, direction } = this.orders[i];
+      const difference = compareValues(fieldValue(entry.data, field, entry.id), this.cursor.values[i]);
+      if (difference !== 0) {
+        return direction === 'desc' ? difference < 0 : difference > 0;
+      }
+    }
+    if (this.cursor.id === null) {
+      return false;
+    }
+    const lastDirection = this.orders.length > 0 ? this.orders[this.orders.length - 1].direction : 'asc';
+    const difference = compareValues(entry.id, this.cursor.id);
+    return lastDirection === 'desc' ? difference < 0 : difference > 0;
+  }
+
+  run() {
+    let entries = this.firestore.childrenOf(this.path)
+      .filter(({ id, data }) => this.matches(id, data))
+      .filter(({ id, data }) => this.orders.every(({ field }) => fieldValue(data, field, id) !== undefined))
+      .sort((a, b) => this.compareDocs(a, b));
+    if (this.cursor) {
+      entries = entries.filter(entry => this.isAfterCursor(entry));
+    }
+    entries = entries.slice(this.offsetCount);
+    if (this.limitCount !== undefined) {
+      entries = entries.slice(0, this.limitCount);
+    }
+    return new QuerySnapshot(entries.map(({ id, data }) => new DocumentSnapshot(
+      new DocumentReference(this.firestore, `${this.path}/${id}`),
+      data,
+    )));
+  }
+
+  async get() {
+    return this.run();
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const { size } = this.run();
+        return { data: () => ({ count: size }) };
+      },
+    };
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(firestore, path) {
+    super(firestore, path);
+    this.id = path.split('/').pop();
+  }
+
+  doc(id = autoId()) {
+    return new DocumentReference(this.firestore, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class WriteBatch {
+  constructor(firestore) {
+    this.firestore = firestore;
+    this.writes = [];
+  }
+
+  set(ref, data, options = {}) {
+    this.writes.push((documents) => {
+      const existing = documents.get(ref.path);
+      documents.set(ref.path, writeFields(options.merge && existing ? clone(existing) : {}, data, options.merge));
+    });
+    return this;
+  }
+
+  update(ref, data) {
+    this.writes.push((documents) => {
+      if (!documents.has(ref.path)) {
+        throw firestoreError(5, `No document to update: ${ref.path}`);
+      }
+      documents.set(ref.path, updateFields(clone(documents.get(ref.path)), data));
+    });
+    return this;
+  }
+
+  create(ref, data) {
+    this.writes.push((documents) => {
+      if (documents.has(ref.path)) {
+        throw firestoreError(6, `Document already exists: ${ref.path}`);
+      }
+      documents.set(ref.path, writeFields({}, data, false));
+    });
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push((documents) => {
+      documents.delete(ref.path);
+    });
+    return this;
+  }
+
+  // All writes land together or, if one fails, none do
+  async commit() {
+    this.firestore.apply(this.writes);
+    return this.writes.map(() => ({ writeTime: Timestamp.now() }));
+  }
+}
+
+class Transaction {
+  constructor(firestore) {
+    this.firestore = firestore;
+    this.batch = new WriteBatch(firestore);
+    this.readVersions = new Map();
+  }
+
+  recordRead(path) {
+    if (this.batch.writes.length > 0) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+    if (!this.readVersions.has(path)) {
+      this.readVersions.set(path, this.firestore.versions.get(path) || 0);
+    }
+  }
+
+  async get(refOrQuery) {
+    if (refOrQuery instanceof DocumentReference) {
+      this.recordRead(refOrQuery.path);
+      return this.firestore.snapshot(refOrQuery);
+    }
+    const snapshot = refOrQuery.run();
+    snapshot.docs.forEach(doc => this.recordRead(doc.ref.path));
+    return snapshot;
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => this.get(ref)));
+  }
+
+  set(ref, data, options) {
+    this.batch.set(ref, data, options);
+    return this;
+  }
+
+  update(ref, data) {
+    this.batch.update(ref, data);
+    return this;
+  }
+
+  create(ref, data) {
+    this.batch.create(ref, data);
+    return this;
+  }
+
+  delete(ref) {
+    this.batch.delete(ref);
+    return this;
+  }
+
+  isStale() {
+    return [...this.readVersions].some(([path, version]) => (this.firestore.versions.get(path) || 0) !== version);
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this.documents = new Map();
+    this.versions = new Map();
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  async getAll(...refs) {
+    return refs.map(ref => this.snapshot(ref));
+  }
+
+  async runTransaction(updateFunction, { maxAttempts = 5 } = {}) {
+    for (let attempt = 1; ; attempt += 1) {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      if (!transaction.isStale()) {
+        await transaction.batch.commit();
+        return result;
+      }
+      if (attempt >= maxAttempts) {
+        throw firestoreError(10, 'Transaction was aborted after too much contention.');
+      }
+    }
+  }
+
+  snapshot(ref) {
+    return new DocumentSnapshot(ref, this.documents.get(ref.path));
+  }
+
+  childrenOf(collectionPath) {
+    const depth = collectionPath.split('/').length + 1;
+    return [...this.documents]
+      .filter(([path]) => path.startsWith(`${collectionPath}/`) && path.split('/').length === depth)
+      .map(([path, data]) => ({ id: path.split('/').pop(), data }));
+  }
+
+  apply(writes) {
+    const staged = new Map(this.documents);
+    writes.forEach(write => write(staged));
+
+    const touched = new Set([...this.documents.keys(), ...staged.keys()]);
+    touched.forEach((path) => {
+      if (this.documents.get(path) !== staged.get(path)) {
+        this.versions.set(path, (this.versions.get(path) || 0) + 1);
+      }
+    });
+    this.documents = staged;
+  }
+
+  // Plain data for assertions, keyed by document ID
+  dump(collectionPath) {
+    return Object.fromEntries(this.childrenOf(collectionPath).map(({ id, data }) => [id, clone(data)]));
+  }
+}
+
+// ** Helper to make `admin.firestore()` return an in-memory database, keeping its static helpers ** //
+// Call before requiring the server, which grabs its database when it loads.
+const installFakeFirestore = () => {
+  const db = new FakeFirestore();
+  const namespace = admin.firestore;
+  const firestore = Object.assign(() => db, {
+    FieldPath: namespace.FieldPath,
+    FieldValue: namespace.FieldValue,
+    Timestamp: namespace.Timestamp,
+  });
+  Object.defineProperty(admin, 'firestore', { value: firestore, configurable: true });
+  return db;
+};
+
+module.exports = { FakeFirestore, installFakeFirestore };
@@ -0,0 +1,61 @@
+require('./env');
+const crypto = require('crypto');
+const { once } = require('events');
+const { installFakeFirestore } = require('./firestore');
+
+// The server reads its database when it loads, so the in-memory one goes in first
+const db = installFakeFirestore();
+const { app } = require('../../index.js');
+
+// ** Helper to sign a test ID token for a user, as `verifyTestToken` expects ** //
+const tokenFor = (uid, role = 'attendee', claims = {}) => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+    uid,
+    role,
+    email: `${uid}@example.com`,
+    email_verified: true,
+    exp: Math.floor(Date.now() / 1000) + 60 * 60,
+    ...claims,
+  })}`;
+  const signature = crypto.createHmac('sha256', process.env.AUTH_TEST_SECRET).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+};
+
+// ** Helper to start the app on a free port; call `close` when done ** //
+const startServer = async () => {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Sends JSON as the given user (or anonymously) and parses the JSON reply
+  const request = async (method, url, { as, body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(as && { Authorization: `Bearer ${tokenFor(...[].concat(as))}` }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch (e) {
+      json = null;
+    }
+    return { status: response.status, body: json, text };
+  };
+
+  return {
+    request,
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    }),
+  };
+};
+
+module.exports = { db, tokenFor, startServer };
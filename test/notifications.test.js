@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { db, startServer } = require('./helpers/server');
+
+const EVENT_ID = 'event-1';
+const OWNER = ['org-1', 'organizer'];
+const OTHER_ORGANIZER = ['org-2', 'organizer'];
+
+let server;
+
+// Jobs start as soon as they are queued, so the reply comes back before everyone is notified
+const waitForJob = async (jobId) => {
+  for (let i = 0; i < 50; i += 1) {
+    const job = await server.request('GET', `/api/notifications/jobs/${jobId}`, { as: OWNER });
+    if (!['queued', 'sending'].includes(job.body.status)) {
+      return job.body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Notification job ${jobId} never finished`);
+};
+
+test.before(async () => {
+  await db.collection('users').doc('ama').set({ name: 'Ama Mensah', pushTokens: ['device-1'] });
+  await db.collection('users').doc('kofi').set({ name: 'Kofi Boateng' });
+  await db.collection('events').doc(EVENT_ID).set({
+    eventId: EVENT_ID,
+    title: 'Harbour Lights',
+    organizer: { organizerId: 'org-1' },
+  });
+  await Promise.all([['t-1', 'ama', 'confirmed'], ['t-2', 'kofi', 'confirmed'], ['t-3', 'yaw', 'canceled']]
+    .map(([ticketId, userId, status]) => db.collection('tickets').doc(ticketId).set({ ticketId, eventId: EVENT_ID, userId, status })));
+  server = await startServer();
+});
+
+test.after(() => server.close());
+
+test('announcements are queued and reach every ticket holder once', async () => {
+  const queued = await server.request('POST', `/api/events/${EVENT_ID}/announcements`, {
+    as: OWNER,
+    body: { title: 'Doors open early', message: 'Doors open at 6pm.' },
+  });
+  assert.strictEqual(queued.status, 202, queued.text);
+
+  const job = await waitForJob(queued.body.jobId);
+  assert.strictEqual(job.status, 'sent');
+  assert.strictEqual(job.recipients, 2);
+  assert.strictEqual((await db.collection('announcements').doc(queued.body.announcementId).get()).data().recipients, 2);
+
+  const notification = (await db.collection('notifications').doc(`${job.jobId}_ama`).get()).data();
+  assert.strictEqual(notification.title, 'Doors open early');
+  assert.strictEqual(notification.deliveries.push, 'stubbed');
+  assert.strictEqual((await db.collection('notifications').where('userId', '==', 'yaw').get()).size, 0);
+});
+
+test('only the sender and admins can follow a notification job', async () => {
+  const queued = await server.request('POST', '/api/notifications', {
+    as: OWNER,
+    body: { title: 'Set times', message: 'The headliner is on at 9pm.', audience: { type: 'ticketHolders', eventId: EVENT_ID } },
+  });
+  assert.strictEqual(queued.status, 202, queued.text);
+  await waitForJob(queued.body.jobId);
+
+  const path = `/api/notifications/jobs/${queued.body.jobId}`;
+  assert.strictEqual((await server.request('GET', path, { as: OTHER_ORGANIZER })).status, 403);
+  assert.strictEqual((await server.request('GET', path, { as: ['root', 'admin'] })).status, 200);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { db, startServer } = require('./helpers/server');
+
+const EVENT_ID = 'event-1';
+const BUYER = ['ama', 'attendee'];
+
+let server;
+
+// Webhooks from the fake provider are signed with HMAC-SHA256 of the fake secret
+const deliverWebhook = (event, signature) => {
+  const payload = JSON.stringify({ id: crypto.randomUUID(), currency: 'GHS', ...event });
+  return server.request('POST', '/api/payments/webhook/fake', {
+    body: payload,
+    headers: {
+      'X-Fake-Signature': signature
+        || crypto.createHmac('sha256', process.env.FAKE_PAYMENT_SECRET).update(payload).digest('hex'),
+    },
+  });
+};
+
+// Holds two general tickets for the buyer and starts paying for them
+const buyAndStartPayment = async () => {
+  const bought = await server.request('POST', '/api/tickets/buy', {
+    as: BUYER,
+    body: { eventId: EVENT_ID, userId: 'ama', seat: 'Standing', ticketType: 'general', quantity: 2 },
+  });
+  assert.strictEqual(bought.status, 200, bought.text);
+
+  const started = await server.request('POST', `/api/tickets/${bought.body.data.ticketId}/payment`, { as: BUYER });
+  assert.strictEqual(started.status, 201, started.text);
+  return { ticketId: bought.body.data.ticketId, payment: started.body.data };
+};
+
+test.before(async () => {
+  const inMonth = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  await db.collection('users').doc('ama').set({ name: 'Ama Mensah', email: 'ama@example.com' });
+  await db.collection('users').doc('org-1').set({ name: 'Harbour Events', role: 'organizer' });
+  await db.collection('events').doc(EVENT_ID).set({
+    eventId: EVENT_ID,
+    title: 'Harbour Lights',
+    date: inMonth,
+    time: '19:00',
+    location: 'Accra Mall',
+    price: { general: 50 },
+    ticketsLeft: 10,
+    ticketsSold: 0,
+    organizer: { organizerId: 'org-1' },
+  });
+  server = await startServer();
+});
+
+test.after(() => server.close());
+
+test('a paid fake-provider charge confirms the held ticket', async () => {
+  const { ticketId, payment } = await buyAndStartPayment();
+  assert.strictEqual(payment.amount, 100);
+  assert.strictEqual((await db.collection('events').doc(EVENT_ID).get()).data().ticketsLeft, 8);
+
+  const charged = await deliverWebhook({ type: 'success', reference: payment.reference, amount: payment.amount });
+  assert.strictEqual(charged.status, 200, charged.text);
+  assert.strictEqual(charged.body.status, 'paid');
+
+  const ticket = await server.request('GET', `/api/tickets/${ticketId}`, { as: BUYER });
+  assert.strictEqual(ticket.body.data.status, 'confirmed');
+  assert.strictEqual(ticket.body.data.paymentId, payment.reference);
+  assert.strictEqual((await db.collection('payments').doc(payment.reference).get()).data().status, 'paid');
+});
+
+test('a repeated webhook is acknowledged without being applied again', async () => {
+  const { payment } = await buyAndStartPayment();
+  const event = { id: 'charge-repeat', type: 'success', reference: payment.reference, amount: payment.amount };
+
+  assert.strictEqual((await deliverWebhook(event)).body.message, 'Event processed');
+  assert.strictEqual((await deliverWebhook(event)).body.message, 'Event already processed');
+});
+
+test('webhooks with a bad signature or a short charge do not confirm the ticket', async () => {
+  const { ticketId, payment } = await buyAndStartPayment();
+
+  const forged = await deliverWebhook({ type: 'success', reference: payment.reference, amount: payment.amount }, 'forged');
+  assert.strictEqual(forged.status, 401);
+
+  const short = await deliverWebhook({ type: 'success', reference: payment.reference, amount: payment.amount - 1 });
+  assert.strictEqual(short.body.status, 'failed');
+  assert.strictEqual((await db.collection('tickets').doc(ticketId).get()).data().status, 'pending');
+});
+
+test('a paid-out refund marks the pending refund processed without reversing the payment', async () => {
+  const { ticketId, payment } = await buyAndStartPayment();
+  await deliverWebhook({ type: 'success', reference: payment.reference, amount: payment.amount });
+
+  const canceled = await server.request('DELETE', `/api/tickets/${ticketId}`, { as: BUYER });
+  assert.strictEqual(canceled.status, 200, canceled.text);
+  const [refund] = (await db.collection('refunds').where('paymentId', '==', payment.reference).get()).docs;
+  assert.strictEqual(refund.data().status, 'pending');
+
+  const paidOut = await deliverWebhook({ type: 'refunded', reference: payment.reference, amount: refund.data().amount });
+  assert.strictEqual(paidOut.status, 200, paidOut.text);
+  assert.strictEqual((await refund.ref.get()).data().status, 'processed');
+  assert.strictEqual((await db.collection('payments').doc(payment.reference).get()).data().status, 'refunded');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// Rendering never touches Firebase or Mux, but index.js still needs their settings to load
+require('./helpers/env');
+
+const { renderPdf, renderTicketsPdf, drawReceipt } = require('../index.js');
+
+const SNAPSHOT_DIR = path.join(__dirname, '__snapshots__');
+
+// Compares against the stored file; run with UPDATE_SNAPSHOTS=1 to write new snapshots instead
+const matchSnapshot = (name, pdf) => {
+  const file = path.join(SNAPSHOT_DIR, name);
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.writeFileSync(file, pdf);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `${name} has no snapshot; run the tests with UPDATE_SNAPSHOTS=1 to create it`);
+  assert.ok(pdf.equals(fs.readFileSync(file)), `${name} no longer matches its snapshot`);
+};
+
+const ticketEntry = {
+  ticket: {
+    ticketId: 'ticket-1',
+    ticketType: 'vip',
+    seat: 'A1',
+    quantity: 1,
+    status: 'confirmed',
+    qrcode: 'TKT1.eyJ0IjoidGlja2V0LTEifQ.c2lnbmF0dXJl',
+    barcode: 'v1.ticket-1.0a1b2c3d4e5f.0123456789abcdef',
+    credential: { issuedAt: '2026-01-01T10:00:00.000Z' },
+  },
+  event: { title: 'Harbour Lights', date: '2026-05-01', time: '19:00', timezone: 'Africa/Accra', location: 'Accra Mall' },
+  holderName: 'Ama Mensah',
+};
+
+const receipt = {
+  payment: {
+    paymentId: 'payment-1',
+    userId: 'user-1',
+    amount: 115,
+    currency: 'GHS',
+    status: 'partially_refunded',
+    timestamp: new Date('2026-02-01T09:30:00.000Z'),
+  },
+  event: ticketEntry.event,
+  buyer: { name: 'Ama Mensah', email: 'ama@example.com' },
+  lines: [{ description: 'vip ticket', quantity: 2, unitPrice: 50, amount: 100 }],
+  breakdown: { subtotal: 100, discount: 5, fees: 20, promoCode: 'EARLY' },
+  refunds: [
+    { refundId: 'refund-1', amount: 50, quantity: 1, status: 'processed', createdAt: new Date('2026-02-02T12:00:00.000Z') },
+    { refundId: 'refund-2', amount: 50, quantity: 1, status: 'pending', createdAt: new Date('2026-02-03T12:00:00.000Z') },
+  ],
+};
+
+test('ticket PDFs render the same bytes for the same ticket', async () => {
+  const first = await renderTicketsPdf([ticketEntry]);
+  const second = await renderTicketsPdf([ticketEntry]);
+
+  assert.ok(first.equals(second));
+  assert.match(first.toString('latin1'), /D:20260101100000Z/);
+  matchSnapshot('ticket.pdf', first);
+});
+
+test('receipt PDFs render the same bytes for the same payment', async () => {
+  const render = () => renderPdf('Receipt payment-1', receipt.payment.timestamp, doc => drawReceipt(doc, receipt));
+  const first = await render();
+
+  assert.ok(first.equals(await render()));
+  matchSnapshot('receipt.pdf', first);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+
+const { db, startServer } = require('./helpers/server');
+
+const EVENT_ID = 'event-1';
+
+let server;
+
+test.before(async () => {
+  const inMonth = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  await db.collection('users').doc('ama').set({ name: 'Ama Mensah' });
+  await db.collection('users').doc('kofi').set({ name: 'Kofi Boateng' });
+  await db.collection('events').doc(EVENT_ID).set({
+    eventId: EVENT_ID,
+    title: 'Harbour Lights',
+    date: inMonth,
+    time: '19:00',
+    price: { general: 50 },
+    ticketsLeft: 3,
+    ticketsSold: 0,
+    waitlistReserved: 3,
+    organizer: { organizerId: 'org-1' },
+  });
+  await db.collection('waitlists').doc(`${EVENT_ID}_ama`).set({
+    eventId: EVENT_ID,
+    userId: 'ama',
+    quantity: 3,
+    status: 'offered',
+    offerQuantity: 3,
+    offerExpiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + 10 * 60 * 1000),
+    joinedAt: admin.firestore.Timestamp.fromMillis(Date.now() - 60 * 1000),
+  });
+  await db.collection('waitlists').doc(`${EVENT_ID}_kofi`).set({
+    eventId: EVENT_ID,
+    userId: 'kofi',
+    quantity: 2,
+    status: 'waiting',
+    offerQuantity: 0,
+    joinedAt: admin.firestore.Timestamp.now(),
+  });
+  server = await startServer();
+});
+
+test.after(() => server.close());
+
+test('offered tickets a buyer leaves unused are offered to the next in line', async () => {
+  const bought = await server.request('POST', '/api/tickets/buy', {
+    as: ['ama', 'attendee'],
+    body: { eventId: EVENT_ID, userId: 'ama', seat: 'Standing', ticketType: 'general', quantity: 1 },
+  });
+  assert.strictEqual(bought.status, 200, bought.text);
+
+  const next = (await db.collection('waitlists').doc(`${EVENT_ID}_kofi`).get()).data();
+  assert.strictEqual(next.status, 'offered');
+  assert.strictEqual(next.offerQuantity, 2);
+
+  const event = (await db.collection('events').doc(EVENT_ID).get()).data();
+  assert.strictEqual(event.ticketsLeft, 2);
+  assert.strictEqual(event.waitlistReserved, 2);
+});